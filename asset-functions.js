@@ -0,0 +1,226 @@
+/**
+ * The asset functions for `node-sass-extra`; `inline-image()`, `image-width()`, `image-height()`
+ * and `asset-url()`, enabled by the "assetFunctions" option.
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const sass = require('node-sass');
+
+const MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp'
+};
+
+/**
+ * Gets the "assetFunctions" option of the compile a function was called from.
+ */
+function getConfig(context) {
+    const { assetFunctions } = (context && context.options) || {};
+
+    return typeof assetFunctions === 'object' ? assetFunctions : {};
+}
+
+/**
+ * Resolves the path of an asset relative to the directory of the compiled source, or the current
+ * working directory for data, falling back to the "includePaths" it exists in.
+ */
+function resolveAsset(context, assetPath) {
+    const { file, includePaths = '' } = (context && context.options) || {};
+    const dirs = [
+        file ? path.dirname(path.resolve(file)) : process.cwd()
+    ].concat(includePaths.split(path.delimiter).filter(Boolean));
+    const candidates = dirs.map((dir) => path.resolve(dir, assetPath));
+
+    return (
+        candidates.find((candidate) => fs.pathExistsSync(candidate)) ||
+        candidates[0]
+    );
+}
+
+/**
+ * Reads the dimensions of a PNG image.
+ */
+function getPngSize(contents) {
+    if (contents.toString('ascii', 1, 4) !== 'PNG') {
+        return null;
+    }
+
+    return {
+        width: contents.readUInt32BE(16),
+        height: contents.readUInt32BE(20)
+    };
+}
+
+/**
+ * Reads the dimensions of a GIF image.
+ */
+function getGifSize(contents) {
+    if (contents.toString('ascii', 0, 3) !== 'GIF') {
+        return null;
+    }
+
+    return {
+        width: contents.readUInt16LE(6),
+        height: contents.readUInt16LE(8)
+    };
+}
+
+/**
+ * Reads the dimensions of a JPEG image from its start of frame segment.
+ */
+function getJpegSize(contents) {
+    if (contents[0] !== 0xff || contents[1] !== 0xd8) {
+        return null;
+    }
+
+    let offset = 2;
+
+    while (offset + 9 < contents.length) {
+        const marker = contents[offset + 1];
+
+        // start of frame markers, other than the huffman and arithmetic coding tables
+        if (
+            marker >= 0xc0 &&
+            marker <= 0xcf &&
+            ![0xc4, 0xc8, 0xcc].includes(marker)
+        ) {
+            return {
+                width: contents.readUInt16BE(offset + 7),
+                height: contents.readUInt16BE(offset + 5)
+            };
+        }
+
+        offset += 2 + contents.readUInt16BE(offset + 2);
+    }
+
+    return null;
+}
+
+/**
+ * Reads the dimensions of an SVG image from its root element's "width" and "height" attributes,
+ * falling back to its "viewBox".
+ */
+function getSvgSize(contents) {
+    const root = contents.toString().match(/<svg\b[^>]*>/);
+
+    if (!root) {
+        return null;
+    }
+
+    const getAttribute = (name) => {
+        const match = root[0].match(new RegExp(`\\s${name}=(["'])([^"']*)\\1`));
+        return match ? match[2] : null;
+    };
+    const viewBox = (getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+    const width = parseFloat(getAttribute('width')) || viewBox[2];
+    const height = parseFloat(getAttribute('height')) || viewBox[3];
+
+    return width && height ? { width, height } : null;
+}
+
+/**
+ * Reads the dimensions of a PNG, JPEG, GIF or SVG image.
+ */
+function getImageSize(contents, assetPath) {
+    const size =
+        getPngSize(contents) ||
+        getGifSize(contents) ||
+        getJpegSize(contents) ||
+        getSvgSize(contents);
+
+    if (!size) {
+        throw new Error(
+            `Invalid image: "${assetPath}" is not a PNG, JPEG, GIF or SVG image.`
+        );
+    }
+
+    return size;
+}
+
+/**
+ * Creates a Sass function that reads the asset at its first argument and converts it via the
+ * given transform. node-sass passes a callback when rendering asynchronously, in which case the
+ * asset is read asynchronously; otherwise it is read synchronously and the value returned.
+ */
+function createAssetFunction(transform) {
+    return function assetFunction(...args) {
+        const done =
+            typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        const assetPath = resolveAsset(this, args[0].getValue());
+        const convert = (contents) => {
+            try {
+                return transform(contents, assetPath, ...args.slice(1));
+            } catch (err) {
+                return new sass.types.Error(err.message);
+            }
+        };
+        const onError = () =>
+            new sass.types.Error(
+                `File to read not found or unreadable: ${assetPath}`
+            );
+
+        if (done) {
+            fs.readFile(assetPath).then(
+                (contents) => done(convert(contents)),
+                () => done(onError())
+            );
+            return undefined;
+        }
+
+        try {
+            return convert(fs.readFileSync(assetPath));
+        } catch (err) {
+            return onError();
+        }
+    };
+}
+
+/**
+ * Embeds an image in the css as a base64 data URI; the MIME type is determined by the image's
+ * extension unless given.
+ */
+function inlineImage(contents, assetPath, mimeType) {
+    const type =
+        mimeType instanceof sass.types.String
+            ? mimeType.getValue()
+            : MIME_TYPES[path.extname(assetPath).toLowerCase()] ||
+              'application/octet-stream';
+
+    return new sass.types.String(
+        `url("data:${type};base64,${contents.toString('base64')}")`
+    );
+}
+
+/**
+ * References an asset via the "baseUrl" of the "assetFunctions" option, if any.
+ */
+function assetUrl(url) {
+    const { baseUrl } = getConfig(this);
+    const assetPath = url.getValue();
+    const resolvedUrl = baseUrl
+        ? `${baseUrl.replace(/\/$/, '')}/${assetPath.replace(/^\//, '')}`
+        : assetPath;
+
+    return new sass.types.String(`url("${resolvedUrl}")`);
+}
+
+module.exports = {
+    'inline-image($path, $mime-type: null)': createAssetFunction(inlineImage),
+    'image-width($path)': createAssetFunction(
+        (contents, assetPath) =>
+            new sass.types.Number(getImageSize(contents, assetPath).width, 'px')
+    ),
+    'image-height($path)': createAssetFunction(
+        (contents, assetPath) =>
+            new sass.types.Number(
+                getImageSize(contents, assetPath).height,
+                'px'
+            )
+    ),
+    'asset-url($path)': assetUrl
+};
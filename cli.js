@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+
+/**
+ * The command-line interface for `node-sass-extra`.
+ */
+
+const path = require('path');
+const eol = require('os').EOL;
+const minimist = require('minimist');
+const sass = require('./index');
+
+const usage = `Usage: node-sass-extra <file|glob>... [options]
+
+Compiles the given files and glob patterns. Output is written to stdout when
+no "--output" is given.
+
+Options:
+  -o, --output <path>          Output file or directory
+  -m, --source-map [path]      Emit source maps; optionally a file or directory
+  -i, --glob-ignore <glob>     Glob pattern to ignore; may be repeated
+  --include-path <path>        Path to look for imports; may be repeated
+  --base <path>                Base directory of sources in an output directory
+  --partials                   Compile partials matched by glob patterns
+  --no-bail                    Attempt every source after a compile error
+  --cache <path>               Directory to cache compiled results in
+  --manifest <path>            JSON file to record written outputs in
+  --reporter <name>            Print a build report; "summary" or "json"
+  --concurrency <number>       Maximum number of sources compiled at once
+  --workers [number]           Compile in a pool of worker processes
+  --importer <path>            Module exporting a custom importer
+  --functions <path>           Module exporting custom functions
+  --node-modules               Resolve ~package and package imports from node_modules
+  --assets [path]              Rebase relative urls; optionally copy assets to a directory
+  --asset-functions [url]      Add the built-in asset functions; optionally a base url
+  -w, --watch                  Recompile when sources change
+  --dry-run                    Print the build plan without compiling or writing
+  --audit                      Print orphaned partials, unresolved and duplicate imports
+  -v, --version                Print version info
+  -h, --help                   Print this message
+
+Flags with an optional value take the next argument as their value unless it
+is a .scss or .sass source (or not a number, for "--workers"); use the
+"--flag=value" form to be explicit.
+
+All other node-sass options are accepted in their kebab-case form, e.g.
+"--output-style compressed" or "--source-map-contents".
+`;
+
+// flags that may be given with or without a value, by their long form
+const OPTIONAL_VALUE_FLAGS = {
+    '-m': '--source-map',
+    '--source-map': '--source-map',
+    '--assets': '--assets',
+    '--asset-functions': '--asset-functions',
+    '--workers': '--workers'
+};
+
+/**
+ * Utility for converting a kebab-case flag to a camel-case option name.
+ */
+function camelCase(flag) {
+    return flag.replace(/-(\w)/g, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Gives flags with an optional value an explicit empty value when the next argument isn't theirs,
+ * so e.g. "-m src/a.scss" doesn't take the source as the source map path.
+ */
+function splitOptionalValues(argv) {
+    return argv.map((arg, index) => {
+        const flag = OPTIONAL_VALUE_FLAGS[arg];
+        const next = argv[index + 1];
+
+        if (!flag || next === undefined || next.startsWith('-')) {
+            return arg;
+        }
+
+        const isValue =
+            flag === '--workers'
+                ? /^\d+$/.test(next)
+                : !/\.s[ac]ss$/i.test(next);
+
+        return isValue ? arg : `${flag}=`;
+    });
+}
+
+/**
+ * Parses the command-line arguments into flags and `render` options.
+ */
+function parseArgs(argv) {
+    const alias = {
+        o: 'output',
+        m: 'source-map',
+        i: 'glob-ignore',
+        w: 'watch',
+        v: 'version',
+        h: 'help'
+    };
+    const string = [
+        'output',
+        'source-map',
+        'assets',
+        'asset-functions',
+        'glob-ignore',
+        'include-path',
+        'base',
+        'cache',
+        'manifest',
+        'reporter',
+        'workers',
+        'importer',
+        'functions',
+        'output-style',
+        'source-map-root',
+        'linefeed',
+        'indent-type'
+    ];
+    const boolean = [
+        'watch',
+        'version',
+        'help',
+        'partials',
+        'node-modules',
+        'bail',
+        'dry-run',
+        'audit',
+        'source-comments',
+        'source-map-contents',
+        'source-map-embed',
+        'omit-source-map-url',
+        'indented-syntax'
+    ];
+    // numeric flags are left for minimist to parse as numbers
+    const known = [
+        ...Object.keys(alias),
+        ...string,
+        ...boolean,
+        'concurrency',
+        'out-file',
+        'precision',
+        'indent-width'
+    ];
+    const args = minimist(splitOptionalValues(argv), {
+        alias,
+        string,
+        boolean,
+        default: { bail: true }
+    });
+    const unknown = Object.keys(args).find(
+        (flag) => flag !== '_' && !known.includes(flag)
+    );
+
+    if (unknown) {
+        throw new Error(
+            `Unknown option: ${unknown.length > 1 ? '--' : '-'}${unknown}`
+        );
+    }
+
+    const {
+        _: file,
+        help,
+        version,
+        watch,
+        audit,
+        'source-map': sourceMap,
+        assets,
+        'asset-functions': assetFunctions,
+        'glob-ignore': globIgnore,
+        'include-path': includePath,
+        workers,
+        ...flags
+    } = args;
+    const options = { file };
+
+    Object.keys(flags)
+        .filter((flag) => !alias[flag])
+        .forEach((flag) => {
+            options[camelCase(flag)] = flags[flag];
+        });
+
+    // flags that may be given with or without a value
+    if (sourceMap !== undefined) {
+        options.sourceMap = sourceMap === '' ? true : sourceMap;
+    }
+
+    if (assets !== undefined) {
+        options.assets = assets === '' ? true : assets;
+    }
+
+    if (assetFunctions !== undefined) {
+        options.assetFunctions =
+            assetFunctions === '' ? true : { baseUrl: assetFunctions };
+    }
+
+    if (workers !== undefined) {
+        options.workers = workers === '' ? true : Number(workers);
+    }
+
+    if (globIgnore !== undefined) {
+        options.globOptions = { ignore: [].concat(globIgnore) };
+    }
+
+    if (includePath !== undefined) {
+        options.includePaths = [].concat(includePath);
+    }
+
+    // worker processes require the modules themselves
+    if (!options.workers) {
+        ['importer', 'functions'].forEach((name) => {
+            if (options[name]) {
+                // eslint-disable-next-line global-require, import/no-dynamic-require
+                options[name] = require(path.resolve(options[name]));
+            }
+        });
+    }
+
+    return { help, version, watch, audit, options };
+}
+
+/**
+ * Reports an error in a readable format.
+ */
+function reportError(err, stderr) {
+    stderr.write(`${err.formatted || err.message}${eol}`);
+}
+
+/**
+ * Reports the results of a build; the css is written to stdout when there is no output.
+ */
+function reportResults(results, stdout) {
+    results.forEach(({ css, outFile, written, unchanged }) => {
+        if (written) {
+            stdout.write(`Wrote ${outFile}${eol}`);
+        } else if (unchanged) {
+            stdout.write(`Unchanged ${outFile}${eol}`);
+        } else {
+            stdout.write(css.toString());
+        }
+    });
+}
+
+/**
+ * Runs the command-line interface with the given arguments; returns promise, resolving the
+ * exit code. In watch mode, the promise resolves once the process is interrupted.
+ */
+async function run(argv, { stdout, stderr } = process) {
+    let args;
+
+    try {
+        args = parseArgs(argv);
+    } catch (err) {
+        reportError(err, stderr);
+        return 2;
+    }
+
+    const { help, version, watch, audit, options } = args;
+
+    if (help) {
+        stdout.write(usage);
+        return 0;
+    }
+
+    if (version) {
+        stdout.write(`${sass.info}${eol}`);
+        return 0;
+    }
+
+    if (!options.file.length) {
+        stderr.write(usage);
+        return 2;
+    }
+
+    if (watch) {
+        return new Promise((resolve) => {
+            const watcher = sass.watch(options);
+
+            watcher.on('build', (results) => reportResults(results, stdout));
+            watcher.on('error', (err) => reportError(err, stderr));
+
+            process.once('SIGINT', () => {
+                watcher.close().then(() => resolve(0));
+            });
+        });
+    }
+
+    if (audit) {
+        try {
+            const report = await sass.audit(options);
+            const issues = Object.keys(report).some(
+                (key) => report[key].length
+            );
+
+            stdout.write(`${JSON.stringify(report, null, 2)}${eol}`);
+            return issues ? 1 : 0;
+        } catch (err) {
+            reportError(err, stderr);
+            return 1;
+        }
+    }
+
+    try {
+        const results = await sass.render({ ...options, resultsAs: 'array' });
+
+        if (!results.length) {
+            stderr.write(`No files matched ${options.file.join(' ')}${eol}`);
+            return 1;
+        }
+
+        if (options.dryRun) {
+            stdout.write(`${JSON.stringify(results, null, 2)}${eol}`);
+            return 0;
+        }
+
+        reportResults(results, stdout);
+    } catch (err) {
+        reportError(err, stderr);
+        return 1;
+    }
+
+    return 0;
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then((code) => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = run;
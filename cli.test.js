@@ -0,0 +1,182 @@
+const path = require('path');
+const fs = require('fs-extra');
+const run = require('./cli');
+
+const SOURCE_DIR = path.resolve(__dirname, 'test-files');
+const OUTPUT_DIR = path.resolve(__dirname, 'test-compiled-cli');
+
+describe('cli.js', () => {
+    function createStream() {
+        const stream = {
+            output: '',
+            write: (chunk) => {
+                stream.output += chunk;
+            }
+        };
+
+        return stream;
+    }
+
+    async function runCli(...argv) {
+        const stdout = createStream();
+        const stderr = createStream();
+        const code = await run(argv, { stdout, stderr });
+
+        return { code, stdout: stdout.output, stderr: stderr.output };
+    }
+
+    beforeEach(() => {
+        fs.removeSync(OUTPUT_DIR);
+    });
+
+    afterAll(() => {
+        fs.removeSync(OUTPUT_DIR);
+    });
+
+    test('prints version info', async () => {
+        const { code, stdout } = await runCli('--version');
+
+        expect(code).toBe(0);
+        expect(stdout).toContain('node-sass-extra');
+        expect(stdout).toContain('libsass');
+    });
+
+    test('prints usage', async () => {
+        const { code, stdout } = await runCli('--help');
+
+        expect(code).toBe(0);
+        expect(stdout).toContain('Usage');
+    });
+
+    test('exits with an error code when no files are given', async () => {
+        const { code, stderr } = await runCli();
+
+        expect(code).toBe(2);
+        expect(stderr).toContain('Usage');
+    });
+
+    test('writes css to stdout when no output is given', async () => {
+        const { code, stdout } = await runCli(
+            path.join(SOURCE_DIR, 'test-scss-1.scss'),
+            path.join(SOURCE_DIR, 'nested/**/*.scss')
+        );
+
+        expect(code).toBe(0);
+        expect(stdout).toContain('.test-scss-1_scss');
+        expect(stdout).toContain('.test-scss-3_scss');
+    });
+
+    test('exits with an error code on an unknown flag', async () => {
+        const { code, stdout, stderr } = await runCli(
+            '--ouput',
+            OUTPUT_DIR,
+            path.join(SOURCE_DIR, 'test-scss-1.scss')
+        );
+
+        expect(code).toBe(2);
+        expect(stdout).toEqual('');
+        expect(stderr).toContain('Unknown option: --ouput');
+        expect(fs.pathExistsSync(OUTPUT_DIR)).toBe(false);
+    });
+
+    test('exits with an error code when no files match', async () => {
+        const { code, stdout, stderr } = await runCli(
+            path.join(SOURCE_DIR, 'nomatch/*.scss')
+        );
+
+        expect(code).toBe(1);
+        expect(stdout).toEqual('');
+        expect(stderr).toContain('No files matched');
+    });
+
+    test('does not take a source as the value of an optional value flag', async () => {
+        const { code, stdout } = await runCli(
+            '-m',
+            path.join(SOURCE_DIR, 'test-scss-1.scss'),
+            '--workers',
+            path.join(SOURCE_DIR, 'nested/**/*.scss')
+        );
+
+        expect(code).toBe(0);
+        expect(stdout).toContain('.test-scss-1_scss');
+        expect(stdout).toContain('sourceMappingURL=test-scss-1.css.map');
+        expect(stdout).toContain('.test-scss-3_scss');
+    });
+
+    test('writes css and source maps to an output', async () => {
+        const { code, stdout } = await runCli(
+            path.join(SOURCE_DIR, '**/*.scss'),
+            '--output',
+            OUTPUT_DIR,
+            '--source-map',
+            '--glob-ignore',
+            '**/deeper/**'
+        );
+
+        expect(code).toBe(0);
+        expect(stdout).toContain(path.join(OUTPUT_DIR, 'test-scss-1.css'));
+        expect(
+            fs.pathExistsSync(path.join(OUTPUT_DIR, 'test-scss-1.css.map'))
+        ).toBe(true);
+        expect(fs.pathExistsSync(path.join(OUTPUT_DIR, 'nested/deeper'))).toBe(
+            false
+        );
+    });
+
+    test('prints the build plan with --dry-run', async () => {
+        const { code, stdout } = await runCli(
+            path.join(SOURCE_DIR, 'test-scss-1.scss'),
+            '--output',
+            OUTPUT_DIR,
+            '--dry-run'
+        );
+        const [task] = JSON.parse(stdout);
+
+        expect(code).toBe(0);
+        expect(task.outFile).toEqual(path.join(OUTPUT_DIR, 'test-scss-1.css'));
+        expect(fs.pathExistsSync(OUTPUT_DIR)).toBe(false);
+    });
+
+    test('prints an audit report with --audit', async () => {
+        const { code, stdout } = await runCli(
+            path.join(SOURCE_DIR, 'test-scss-1.scss'),
+            '--audit'
+        );
+
+        expect(code).toBe(0);
+        expect(JSON.parse(stdout)).toEqual({
+            orphans: [],
+            unresolved: [],
+            duplicates: []
+        });
+    });
+
+    test('passes node-sass options', async () => {
+        const { stdout } = await runCli(
+            path.join(SOURCE_DIR, 'test-scss-1.scss'),
+            '--output-style',
+            'compressed'
+        );
+
+        expect(stdout).toContain('.test-scss-1_scss{color:red}');
+    });
+
+    test('requires an importer module', async () => {
+        const { stdout } = await runCli(
+            path.join(SOURCE_DIR, 'test-scss-1.scss'),
+            '--importer',
+            path.join(SOURCE_DIR, 'test-importer.js')
+        );
+
+        expect(stdout).toContain('.test-scss-1_scss');
+    });
+
+    test('reports compile errors with an error code', async () => {
+        const { code, stderr } = await runCli(
+            path.join(SOURCE_DIR, 'unknown.scss')
+        );
+
+        expect(code).toBe(1);
+        expect(stderr).toContain('not found');
+    });
+});
@@ -0,0 +1,42 @@
+/**
+ * The glob importer for `node-sass-extra`; expands imports of glob patterns, such as
+ * `@import 'components/**\/*'`, into imports of every stylesheet they match.
+ */
+
+const path = require('path');
+const glob = require('glob');
+const sass = require('node-sass');
+
+/**
+ * Expands an import of a glob pattern into imports of the stylesheets it matches relative to the
+ * importing file, sorted by path; the "globOptions" of the task are applied. Imports that aren't
+ * glob patterns are left to node-sass and any other importers.
+ */
+function globImporter(url, prev) {
+    if (!glob.hasMagic(url)) {
+        return sass.NULL;
+    }
+
+    const prevDir = path.isAbsolute(prev) ? path.dirname(prev) : process.cwd();
+    const globOptions = (this && this.options.globOptions) || {};
+    const files = glob
+        .sync(url, {
+            ...globOptions,
+            cwd: prevDir,
+            nodir: true,
+            absolute: true
+        })
+        .map((file) => path.resolve(file))
+        .filter(
+            (file) => /\.(s[ac]|c)ss$/.test(file) && file !== path.resolve(prev)
+        )
+        .sort();
+
+    return {
+        // a unique path for the import, so that the same pattern in another directory differs
+        file: path.resolve(prevDir, url),
+        contents: files.map((file) => `@import '${file}';`).join('\n')
+    };
+}
+
+module.exports = globImporter;
@@ -3,11 +3,24 @@
  */
 
 const path = require('path');
+const crypto = require('crypto');
+const childProcess = require('child_process');
+const EventEmitter = require('events');
 const fs = require('fs-extra');
 const glob = require('glob');
+const minimatch = require('minimatch');
+const chokidar = require('chokidar');
 const sass = require('node-sass');
-const eol = require('os').EOL;
+const os = require('os');
+const zlib = require('zlib');
 const pkg = require('./package.json');
+const globImporter = require('./glob-importer');
+const packageImporter = require('./package-importer');
+const assetFunctions = require('./asset-functions');
+
+// the digits of base64 VLQ source map mappings
+const BASE64_CHARS =
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
 
 /**
  * Gets version information.
@@ -19,7 +32,7 @@ function getVersionInfo() {
         '(Wrapper)',
         '[JavaScript]'
     ].join('\t');
-    return versionInfo + eol + sass.info;
+    return versionInfo + os.EOL + sass.info;
 }
 
 /**
@@ -36,6 +49,13 @@ function arrayify(item) {
     return [].concat(item);
 }
 
+/**
+ * Utility for creating an md5 hash of the given content.
+ */
+function getHash(content) {
+    return crypto.createHash('md5').update(content).digest('hex');
+}
+
 /**
  * Utlitity for marshalling array data; if an array contains only a single item, the item is
  * returned. Otherwise, the entire array is returned.
@@ -70,32 +90,110 @@ function getGlobMatches(pattern, options = {}) {
 }
 
 /**
- * Synchronously takes source file(s) and returns a list of files to be compiled.
+ * Utility for determining whether a file is a Sass partial, prefixed with "_".
  */
-function getSourceFilesSync(sources, globOptions) {
-    return arrayify(sources).reduce((sourceFiles, sourceFilePath) => {
-        if (glob.hasMagic(sourceFilePath)) {
-            return sourceFiles.concat(glob.sync(sourceFilePath, globOptions));
+function isPartial(file) {
+    return path.basename(file).startsWith('_');
+}
+
+/**
+ * Filters the matches of a glob pattern via the "partials" config option; unless partials are
+ * allowed, they are left out. Matching the file name rather than ignoring a pattern also covers
+ * matches prefixed with "./".
+ */
+function filterGlobMatches(matches, partials) {
+    return partials ? matches : matches.filter((match) => !isPartial(match));
+}
+
+/**
+ * Utility for determining whether a source pattern is an exclusion, prefixed with "!".
+ */
+function isNegated(pattern) {
+    return pattern.startsWith('!');
+}
+
+/**
+ * Filters a list of source files by the exclusion patterns among the sources, which apply to
+ * the whole list, and removes duplicates; files are kept in the order they were first matched.
+ */
+function filterSourceFiles(sourceFiles, sources) {
+    const exclusions = arrayify(sources)
+        .filter(isNegated)
+        .map((pattern) => path.resolve(pattern.slice(1)));
+    const resolvedFiles = [];
+
+    return sourceFiles.filter((sourceFile) => {
+        const resolvedFile = path.resolve(sourceFile);
+
+        if (
+            resolvedFiles.includes(resolvedFile) ||
+            exclusions.some((exclusion) =>
+                minimatch(resolvedFile, exclusion, { dot: true })
+            )
+        ) {
+            return false;
         }
 
-        sourceFiles.push(sourceFilePath);
-        return sourceFiles;
-    }, []);
+        resolvedFiles.push(resolvedFile);
+        return true;
+    });
+}
+
+/**
+ * Takes the "data" config option and returns a list of sources to be compiled; an object of
+ * contents by file name is a list of named virtual sources.
+ */
+function getDataSources(data) {
+    if (typeof data === 'string' || Array.isArray(data)) {
+        return data;
+    }
+
+    return Object.keys(data).map((file) => ({ file, data: data[file] }));
+}
+
+/**
+ * Synchronously takes source file(s) and returns a list of files to be compiled, via the
+ * "globOptions" and "partials" config options.
+ */
+function getSourceFilesSync(sources, { globOptions, partials }) {
+    const sourceFiles = arrayify(sources)
+        .filter((source) => !isNegated(source))
+        .reduce((matchedFiles, sourceFilePath) => {
+            if (glob.hasMagic(sourceFilePath)) {
+                return matchedFiles.concat(
+                    filterGlobMatches(
+                        glob.sync(sourceFilePath, globOptions),
+                        partials
+                    )
+                );
+            }
+
+            matchedFiles.push(sourceFilePath);
+            return matchedFiles;
+        }, []);
+
+    return filterSourceFiles(sourceFiles, sources);
 }
 
 /**
- * Asynchronously takes source file(s) and returns a list of files to be compiled; returns promise.
+ * Asynchronously takes source file(s) and returns a list of files to be compiled, via the
+ * "globOptions" and "partials" config options; returns promise.
  */
-async function getSourceFiles(sources, globOptions) {
+async function getSourceFiles(sources, { globOptions, partials }) {
     let sourceFiles = [];
 
     /* eslint-disable no-await-in-loop, no-restricted-syntax */
     // asynchronously map through sources in order, resolving globs
     // and collecting in a single array.
-    for (const sourceFilePath of arrayify(sources)) {
+    for (const sourceFilePath of arrayify(sources).filter(
+        (source) => !isNegated(source)
+    )) {
         if (glob.hasMagic(sourceFilePath)) {
             sourceFiles = sourceFiles.concat(
-                await getGlobMatches(sourceFilePath, globOptions)
+                filterGlobMatches(
+                    await getGlobMatches(sourceFilePath, globOptions),
+                    partials
+                )
             );
         } else {
             sourceFiles.push(sourceFilePath);
@@ -103,14 +201,133 @@ async function getSourceFiles(sources, globOptions) {
     }
     /* eslint-enable no-await-in-loop, no-restricted-syntax */
 
-    return sourceFiles;
+    return filterSourceFiles(sourceFiles, sources);
+}
+
+/**
+ * Synchronously resolves the "file" and "data" config options into a list of sources to be
+ * compiled; file sources come before data sources.
+ */
+function getSourcesSync(options) {
+    const { file, data } = options;
+    const sourceFiles = file ? getSourceFilesSync(file, options) : [];
+
+    return sourceFiles.concat(data ? getDataSources(data) : []);
+}
+
+/**
+ * Asynchronously resolves the "file" and "data" config options into a list of sources to be
+ * compiled; file sources come before data sources. Returns promise.
+ */
+async function getSources(options) {
+    const { file, data } = options;
+    const sourceFiles = file ? await getSourceFiles(file, options) : [];
+
+    return sourceFiles.concat(data ? getDataSources(data) : []);
+}
+
+/**
+ * Moves the glob imports from the included files of a compiled result to its
+ * `stats.globImports`, leaving the files they matched; the patterns are kept so that files
+ * added to or removed from them can be detected.
+ */
+function removeGlobImports(result) {
+    const { stats } = result;
+
+    stats.globImports = stats.includedFiles.filter((file) =>
+        glob.hasMagic(file)
+    );
+    stats.includedFiles = stats.includedFiles.filter(
+        (file) => !glob.hasMagic(file)
+    );
+
+    return result;
+}
+
+/**
+ * Utility for filtering and sorting the matches of a glob import to the stylesheets it imports.
+ */
+function toGlobImportFiles(matches) {
+    return matches
+        .filter((match) => /\.(s[ac]|c)ss$/.test(match))
+        .map((match) => path.resolve(match))
+        .sort();
+}
+
+/**
+ * Synchronously gets the stylesheets currently matched by each of the given glob imports.
+ */
+function getGlobImportMatchesSync(patterns, globOptions) {
+    const matches = {};
+
+    patterns.forEach((pattern) => {
+        matches[pattern] = toGlobImportFiles(
+            glob.sync(pattern, { ...globOptions, nodir: true, absolute: true })
+        );
+    });
+
+    return matches;
+}
+
+/**
+ * Asynchronously gets the stylesheets currently matched by each of the given glob imports;
+ * returns promise.
+ */
+async function getGlobImportMatches(patterns, globOptions) {
+    const matches = {};
+
+    await Promise.all(
+        patterns.map(async (pattern) => {
+            matches[pattern] = toGlobImportFiles(
+                await getGlobMatches(pattern, {
+                    ...globOptions,
+                    nodir: true,
+                    absolute: true
+                })
+            );
+        })
+    );
+
+    return matches;
+}
+
+/**
+ * Utility for requiring a module option given as a module path; other values are kept as is.
+ */
+function requireModuleOption(option) {
+    // eslint-disable-next-line global-require, import/no-dynamic-require
+    return typeof option === 'string' ? require(path.resolve(option)) : option;
+}
+
+/**
+ * Requires the "importer" and "functions" options of a task compiled in the main process, which
+ * may be given as module paths for worker processes; either can also be a list, whose functions
+ * are merged in order. `renderSync` and `watch` always compile in the main process.
+ */
+function requireModuleOptions(options) {
+    const { importer, functions } = options;
+    const resolvedOptions = { ...options };
+
+    if (importer) {
+        resolvedOptions.importer = Array.isArray(importer)
+            ? importer.map(requireModuleOption)
+            : requireModuleOption(importer);
+    }
+
+    if (functions) {
+        resolvedOptions.functions = Array.isArray(functions)
+            ? Object.assign({}, ...functions.map(requireModuleOption))
+            : requireModuleOption(functions);
+    }
+
+    return resolvedOptions;
 }
 
 /**
  * Synchronously compiles via node-sass.
  */
 function compileSync(options) {
-    return sass.renderSync(options);
+    return removeGlobImports(sass.renderSync(requireModuleOptions(options)));
 }
 
 /**
@@ -118,281 +335,2589 @@ function compileSync(options) {
  */
 function compile(options) {
     return new Promise((resolve, reject) => {
-        sass.render(options, (err, result) => {
+        sass.render(requireModuleOptions(options), (err, result) => {
             /* istanbul ignore next */
             if (err) {
                 reject(err);
+                return;
             }
 
-            resolve(result);
+            resolve(removeGlobImports(result));
         });
     });
 }
 
 /**
- * Synchronously writes content to disk at the given destination.
+ * Utility for getting a unique temporary path beside a file, to be renamed to the file once written.
+ */
+function getTempPath(filePath) {
+    const suffix = crypto.randomBytes(4).toString('hex');
+    return `${filePath}.${process.pid}.${suffix}.tmp`;
+}
+
+/**
+ * Synchronously determines whether a file already holds the given content.
+ */
+function isUnchangedSync(content, filePath) {
+    try {
+        return fs.readFileSync(filePath).equals(Buffer.from(content));
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Asynchronously determines whether a file already holds the given content; returns promise.
+ */
+async function isUnchanged(content, filePath) {
+    const existing = await fs.readFile(filePath).catch(() => null);
+    return !!existing && existing.equals(Buffer.from(content));
+}
+
+/**
+ * Synchronously writes content to disk at the given destination, via a temporary file so that
+ * the destination is never left partially written. Identical content is not rewritten; returns
+ * whether the file was written.
  */
 function writeFileSync(content, filePath) {
+    if (isUnchangedSync(content, filePath)) {
+        return false;
+    }
+
+    const tempPath = getTempPath(filePath);
+
     fs.ensureDirSync(path.dirname(filePath));
-    fs.writeFileSync(filePath, content);
+
+    try {
+        fs.writeFileSync(tempPath, content);
+        fs.renameSync(tempPath, filePath);
+    } catch (err) {
+        fs.removeSync(tempPath);
+        throw err;
+    }
+
+    return true;
 }
 
 /**
- * Asynchronously writes content to disk at the given destination; returns promise.
+ * Asynchronously writes content to disk at the given destination, via a temporary file so that
+ * the destination is never left partially written. Identical content is not rewritten; returns
+ * promise, resolving whether the file was written.
  */
 async function writeFile(content, filePath) {
-    let writeFilePromise;
+    if (await isUnchanged(content, filePath)) {
+        return false;
+    }
+
+    const tempPath = getTempPath(filePath);
+
+    await fs.ensureDir(path.dirname(filePath));
 
     try {
-        await fs.ensureDir(path.dirname(filePath));
-        writeFilePromise = fs.writeFile(filePath, content);
+        await fs.writeFile(tempPath, content);
+        await fs.rename(tempPath, filePath);
     } catch (err) {
-        /* istanbul ignore next */
-        Promise.reject(err);
+        await fs.remove(tempPath);
+        throw err;
     }
 
-    return writeFilePromise;
+    return true;
 }
 
 /**
- * Determines the output file path for a given source via the "outFile"
- * config option; returns an absolute path.
+ * Utility for determining whether a given path is inside a given directory.
  */
-function getOutFile(source, outFile) {
-    let resolvedOutFile = outFile;
+function isPathInside(filePath, dir) {
+    const relativePath = path.relative(
+        path.resolve(dir),
+        path.resolve(filePath)
+    );
+    return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+}
 
-    if (isFile(source)) {
-        // dynamic output; run the given iterator function on each source
-        if (typeof outFile === 'function') {
-            resolvedOutFile = outFile(source);
-        }
+/**
+ * Gets the base directory of a glob pattern; the path segments preceding the first one
+ * containing glob magic.
+ */
+function getGlobBase(pattern) {
+    const segments = pattern.split('/');
+    const magicIndex = segments.findIndex((segment) => glob.hasMagic(segment));
 
-        // output is a directory; append the source's basename
-        if (!isFile(resolvedOutFile)) {
-            resolvedOutFile = path.join(resolvedOutFile, path.basename(source));
-        }
-    }
+    return segments.slice(0, magicIndex).join('/') || '.';
+}
 
-    // throw error if the determined output is not a valid file path
-    if (!isFile(resolvedOutFile)) {
-        throw new Error(
-            `Invalid output: "${outFile}" is not a valid file path for "output" or "outFile".`
+/**
+ * Determines the path of a source file relative to its base directory via the "base" config
+ * option; by default, the base of the glob pattern that matched the source, or the directory
+ * of an explicitly given source.
+ */
+function getRelativeSource(source, { file, base }) {
+    let resolvedBase = base;
+
+    if (!resolvedBase) {
+        const pattern = arrayify(file || []).find(
+            (sourcePattern) =>
+                !isNegated(sourcePattern) &&
+                glob.hasMagic(sourcePattern) &&
+                isPathInside(source, getGlobBase(sourcePattern))
         );
+
+        resolvedBase = pattern ? getGlobBase(pattern) : path.dirname(source);
     }
 
-    // resolve and ensure '.css' extension
-    return path.resolve(resolvedOutFile.replace(/\.(s[ca]|c)ss$/, '.css'));
+    // fall back to the source's basename when it isn't inside the base
+    if (!isPathInside(source, resolvedBase)) {
+        return path.basename(source);
+    }
+
+    return path.relative(path.resolve(resolvedBase), path.resolve(source));
 }
 
 /**
- * Determines the source map file path for a given source via the "sourceMap"
- * config option and an output file path; returns an absolute path.
+ * Utility for determining whether a given path is a template containing `[dir]`, `[name]`,
+ * `[ext]` or `[hash]` tokens.
  */
-function getSourceMap(outFile, sourceMap) {
-    let resolvedSourceMap = sourceMap;
+function isTemplate(filePath) {
+    return (
+        typeof filePath === 'string' &&
+        /\[(dir|name|ext|hash(:\d+)?)\]/.test(filePath)
+    );
+}
 
-    // dynamic source map; run the given iterator function
-    if (typeof sourceMap === 'function') {
-        resolvedSourceMap = sourceMap(outFile);
-    }
+/**
+ * Resolves the `[dir]`, `[name]` and `[ext]` tokens of a template from a source's path
+ * relative to its base; `[hash]` tokens are resolved once the css is compiled.
+ */
+function resolveTemplate(template, relativeSource) {
+    return template.replace(/\[(dir|name|ext)\]/g, (token, tokenName) => {
+        if (!relativeSource) {
+            throw new Error(
+                `Invalid output: the "${token}" token in "${template}" requires a file source.`
+            );
+        }
 
-    // source map is a boolean; use the output file
-    if (sourceMap === true) {
-        resolvedSourceMap = outFile;
-    }
+        const { dir, name, ext } = path.parse(relativeSource);
+        return { dir, name, ext: ext.slice(1) }[tokenName];
+    });
+}
 
-    // source map is a directory; append the output's basename
-    if (!isFile(resolvedSourceMap)) {
-        resolvedSourceMap = path.join(
-            resolvedSourceMap,
-            path.basename(outFile)
-        );
-    }
+/**
+ * Gets the directory a template's outputs are placed in; the path up to its first segment
+ * with a token.
+ */
+function getTemplateRoot(template) {
+    const segments = template.split(/[\\/]/);
+    const index = segments.findIndex((segment) => isTemplate(segment));
 
-    // resolve and ensure '.map' extension
-    return path.resolve(resolvedSourceMap.replace(/(\.map)?$/, '.map'));
+    return segments.slice(0, index).join('/') || '.';
 }
 
 /**
- * Takes some sources and user-defined options to return a set of node-sass config
- * objects ready for compilation.
+ * Utility for encoding a source map as a base64 data URI, to be embedded in css.
  */
-function getTasks(sources, options) {
-    if (Array.isArray(sources)) {
-        return sources.map((source) => getTasks(source, options));
-    }
+function getSourceMapDataUri(map) {
+    return `data:application/json;base64,${Buffer.from(map).toString(
+        'base64'
+    )}`;
+}
 
-    const { output, sourceMap, ...nodeSassOptions } = options;
-    const outFile = output || options.outFile;
-    const task = {};
+/**
+ * Utility for replacing the source map embedded in css, if any, with the given map.
+ */
+function embedSourceMap(css, map) {
+    return Buffer.from(
+        css
+            .toString()
+            .replace(
+                /(sourceMappingURL=)data:\S+/,
+                (match, prefix) => prefix + getSourceMapDataUri(map)
+            )
+    );
+}
 
-    if (isFile(sources)) {
-        task.file = sources;
-    } else {
-        task.data = sources;
-    }
+/**
+ * Resolves the `[hash]` tokens of a compiled result's output file and source map from its css;
+ * `[hash:<length>]` tokens are truncated to the given length.
+ */
+function resolveHashTokens(result) {
+    const hashedResult = result;
+    const hash = getHash(result.css);
+    const replaceHash = (filePath) =>
+        filePath &&
+        filePath.replace(/\[hash(?::(\d+))?\]/g, (token, length) =>
+            hash.slice(0, length)
+        );
 
-    if (outFile) {
-        task.outFile = getOutFile(sources, outFile);
+    if (!isTemplate(result.outFile) && !isTemplate(result.sourceMap)) {
+        return hashedResult;
     }
 
-    if (sourceMap) {
-        task.sourceMap = getSourceMap(task.outFile, sourceMap);
+    hashedResult.outFile = replaceHash(result.outFile);
+    hashedResult.sourceMap = replaceHash(result.sourceMap);
+
+    if (result.map) {
+        const map = JSON.parse(result.map.toString());
+        map.file = replaceHash(map.file);
+        hashedResult.map = Buffer.from(JSON.stringify(map));
     }
 
-    return {
-        ...nodeSassOptions,
-        ...task
-    };
+    hashedResult.css = embedSourceMap(
+        result.css
+            .toString()
+            .replace(
+                /(sourceMappingURL=)(?!data:)(\S+)/,
+                (match, prefix, url) => prefix + replaceHash(url)
+            ),
+        hashedResult.map
+    );
+
+    return hashedResult;
 }
 
 /**
- * Reduces a list of tasks by their common output files; tasks that share an output file will
- * have their sources combined. Data sources are concatenated directly; file sources are concatenated
- * as sass import statements.
+ * Utility for decoding a base64 VLQ source map segment into its values.
  */
-function reduceTasksByOutFile(tasks) {
-    const sourceType = tasks[0].data ? 'data' : 'file';
-    const outFileLookup = [];
-    const reducedTasks = [];
+function decodeVlqSegment(segment) {
+    const values = [];
+    let value = 0;
+    let factor = 1;
 
-    // groups tasks with common output files, arrayifing their sources
-    arrayify(tasks).forEach((task) => {
-        const { outFile } = task;
-        const index = outFileLookup.indexOf(outFile);
-        const source = task[sourceType];
-        const modifiedTask = { ...task };
+    segment.split('').forEach((char) => {
+        const digit = BASE64_CHARS.indexOf(char);
 
-        if (index === -1) {
-            outFileLookup.push(outFile);
-            modifiedTask[sourceType] = arrayify(source);
-            reducedTasks.push(modifiedTask);
+        value += (digit % 32) * factor;
+
+        // continuation bit; more digits to follow
+        if (digit >= 32) {
+            factor *= 32;
         } else {
-            reducedTasks[index][sourceType].push(source);
+            values.push(value % 2 ? -Math.floor(value / 2) : value / 2);
+            value = 0;
+            factor = 1;
         }
     });
 
-    // map reduced tasks and concat their sources
-    return reducedTasks.map((task) => {
-        const sources = task[sourceType];
-        const modifiedTask = { ...task };
+    return values;
+}
 
-        if (sources.length === 1) {
-            const [firstSource] = sources;
-            modifiedTask[sourceType] = firstSource;
-        } else {
-            delete modifiedTask.file;
-            modifiedTask.data =
-                sourceType === 'data'
-                    ? sources.join('\n')
-                    : joinSourceFiles(sources);
-        }
+/**
+ * Utility for encoding values as a base64 VLQ source map segment.
+ */
+function encodeVlqSegment(values) {
+    return values
+        .map((value) => {
+            let vlq = value < 0 ? -value * 2 + 1 : value * 2;
+            let encoded = '';
+
+            do {
+                const digit = vlq % 32;
+
+                vlq = Math.floor(vlq / 32);
+                encoded += BASE64_CHARS[vlq > 0 ? digit + 32 : digit];
+            } while (vlq > 0);
+
+            return encoded;
+        })
+        .join('');
+}
 
-        return modifiedTask;
+/**
+ * Utility for decoding source map mappings into lines of segments with absolute values; the
+ * generated column, source index, source line, source column and name index.
+ */
+function decodeMappings(mappings) {
+    const state = [0, 0, 0, 0, 0];
+
+    return mappings.split(';').map((line) => {
+        // generated columns are relative to the start of each line
+        state[0] = 0;
+
+        return line
+            ? line.split(',').map((segment) =>
+                  decodeVlqSegment(segment).map((value, i) => {
+                      state[i] += value;
+                      return state[i];
+                  })
+              )
+            : [];
     });
 }
 
 /**
- * Validates the options passed into the compiler, ensuring required props are present.
+ * Utility for encoding lines of segments with absolute values as source map mappings.
  */
-function validateOptions(options) {
-    if (typeof options !== 'object') {
-        throw new Error('Invalid: options is not an object');
-    }
+function encodeMappings(lines) {
+    const state = [0, 0, 0, 0, 0];
+
+    return lines
+        .map((segments) => {
+            state[0] = 0;
+
+            return segments
+                .map((segment) =>
+                    encodeVlqSegment(
+                        segment.map((value, i) => {
+                            const delta = value - state[i];
+                            state[i] = value;
+                            return delta;
+                        })
+                    )
+                )
+                .join(',');
+        })
+        .join(';');
+}
 
-    const { data, file, output, outFile, sourceMap } = options;
+/**
+ * Removes the first source of a source map, which the real sources are imported from; segments
+ * mapped to it, such as those of plain css imports, are dropped and the remaining segments'
+ * source indexes shifted down.
+ */
+function removeFirstSource(map) {
+    const lines = decodeMappings(map.mappings).map((segments) =>
+        segments
+            .filter((segment) => segment.length < 4 || segment[1] !== 0)
+            .map(([generatedColumn, sourceIndex, ...rest]) =>
+                sourceIndex === undefined
+                    ? [generatedColumn]
+                    : [generatedColumn, sourceIndex - 1, ...rest]
+            )
+    );
 
-    if (!file && !data) {
-        throw new Error(
-            'No input specified: either the "data" or "file" option is required.'
-        );
+    return {
+        ...map,
+        sources: map.sources.slice(1),
+        ...(map.sourcesContent && {
+            sourcesContent: map.sourcesContent.slice(1)
+        }),
+        mappings: encodeMappings(lines)
+    };
+}
+
+/**
+ * Resolves the source map of a result whose file sources were combined into a single output;
+ * the sources are compiled as an entry of import statements, which is removed so that the map's
+ * sources are only the real files, relative to the map.
+ */
+function resolveCombinedSourceMap(result) {
+    const resolvedResult = result;
+
+    if (!result.map || !Array.isArray(result.file) || result.data) {
+        return resolvedResult;
     }
 
-    if (sourceMap && !output && !outFile) {
-        throw new Error(
-            'No output specified: either the "output" or "outFile" option is required with "sourceMap".'
+    const map = JSON.parse(result.map.toString());
+
+    if (path.basename(map.sources[0] || '') === 'stdin') {
+        resolvedResult.map = Buffer.from(
+            JSON.stringify(removeFirstSource(map))
         );
+        resolvedResult.css = embedSourceMap(result.css, resolvedResult.map);
     }
 
-    return options;
+    return resolvedResult;
 }
 
 /**
- * Asynchronous rendering.
+ * Utility for determining whether a url is relative to the stylesheet it is written in.
  */
-async function render(options, callback) {
-    try {
-        const { data, file, output, globOptions } = validateOptions(options);
-        const sources = data || (await getSourceFiles(file, globOptions));
-        let tasks = arrayify(getTasks(sources, options));
+function isRelativeUrl(url) {
+    return !/^([a-z][a-z\d+.-]*:|\/|#|~)/i.test(url);
+}
 
-        if (tasks[0].outFile) {
-            tasks = reduceTasksByOutFile(tasks);
+/**
+ * Finds the index of the source that generated the given position via the decoded mappings of
+ * a source map; the closest mapped position at or before it.
+ */
+function getSourceIndexAt(lines, line, column) {
+    for (let i = line; i >= 0; i -= 1) {
+        const segment = lines[i]
+            .filter(
+                ([generatedColumn, ...source]) =>
+                    source.length >= 3 &&
+                    (i < line || generatedColumn <= column)
+            )
+            .pop();
+
+        if (segment) {
+            return segment[1];
         }
+    }
 
-        const compiled = await Promise.all(tasks.map((task) => compile(task)));
-
-        // write files to disk?
-        if (output) {
-            await Promise.all(
-                compiled.map(({ css, map }, i) => {
-                    const task = tasks[i];
-                    const toWrite = [writeFile(css, task.outFile)];
-
-                    if (map) {
-                        toWrite.push(writeFile(map, task.sourceMap));
-                    }
-
-                    return Promise.all(toWrite);
-                })
-            );
-        }
+    return -1;
+}
 
-        const results = marshalArray(compiled);
+/**
+ * Finds the relative `url()` references in the css of a compiled result, resolving each asset
+ * relative to the source file it was written in via the result's source map.
+ */
+function getAssetReferences(result, task) {
+    const css = result.css.toString();
+    const map = JSON.parse(result.map.toString());
+    const lines = decodeMappings(map.mappings);
+    const mapDir = path.dirname(task.sourceMap);
+    const lineStarts = [0];
+    const references = [];
+    const pattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+    let match = pattern.exec(css);
+
+    css.split('\n').forEach((lineContent, i) => {
+        lineStarts.push(lineStarts[i] + lineContent.length + 1);
+    });
 
-        if (typeof callback === 'function') {
-            callback(null, results);
+    while (match) {
+        const [urlFunction, , url] = match;
+        const offset = match.index + urlFunction.indexOf(url);
+        const line = lineStarts.findIndex((start) => start > offset) - 1;
+        const column = offset - lineStarts[line];
+        const sourceIndex = getSourceIndexAt(lines, line, column);
+        const source = sourceIndex !== -1 && map.sources[sourceIndex];
+
+        if (source && isRelativeUrl(url)) {
+            const [, urlPath, suffix] = url.match(/^([^?#]*)(.*)$/);
+            // data sources are relative to the working directory
+            const sourceDir =
+                path.basename(source) === 'stdin'
+                    ? process.cwd()
+                    : path.dirname(path.resolve(mapDir, source));
+
+            references.push({
+                offset,
+                line,
+                column,
+                url,
+                suffix,
+                assetPath: path.resolve(sourceDir, urlPath)
+            });
         }
 
-        return results;
-    } catch (err) {
-        if (typeof callback === 'function') {
-            callback(err);
-        } else {
-            throw err;
-        }
+        match = pattern.exec(css);
     }
 
-    return undefined;
+    return references;
 }
 
 /**
- * Synchronous rendering.
+ * Rewrites the `url()` references of a compiled result to their assets from its output file,
+ * adjusting its source map to match; assets read from disk are copied with hashed names when
+ * the "assets" config option is a directory. A source map only used to find the assets' source
+ * files is removed.
  */
-function renderSync(options) {
-    const { data, file, output, globOptions } = validateOptions(options);
-    const sources = data || getSourceFilesSync(file, globOptions);
-    let tasks = arrayify(getTasks(sources, options));
+function rebaseAssets(
+    result,
+    task,
+    { assets, sourceMap },
+    references,
+    contents
+) {
+    const rebasedResult = result;
+    const assetsDir = typeof assets === 'string' ? path.resolve(assets) : null;
+    const outDir = path.dirname(task.outFile);
+    const map = JSON.parse(result.map.toString());
+    const lines = decodeMappings(map.mappings);
+    const copies = [];
+    let css = result.css.toString();
+
+    // rewrite from last to first so that the offsets of the rest remain valid
+    references
+        .map((reference, i) => ({ ...reference, contents: contents[i] }))
+        .reverse()
+        .forEach(
+            ({ offset, line, column, url, suffix, assetPath, ...asset }) => {
+                let target = assetPath;
+
+                if (assetsDir && asset.contents) {
+                    const { name, ext } = path.parse(assetPath);
+                    const hash = getHash(asset.contents).slice(0, 8);
+
+                    target = path.join(assetsDir, `${name}.${hash}${ext}`);
+
+                    if (!copies.some(({ file }) => file === target)) {
+                        copies.push({ source: assetPath, file: target });
+                    }
+                }
+
+                const rebasedUrl =
+                    path.relative(outDir, target).split(path.sep).join('/') +
+                    suffix;
+                const delta = rebasedUrl.length - url.length;
+
+                css =
+                    css.slice(0, offset) +
+                    rebasedUrl +
+                    css.slice(offset + url.length);
+                lines[line].forEach((segment) => {
+                    const shiftedSegment = segment;
+
+                    if (segment[0] > column) {
+                        shiftedSegment[0] += delta;
+                    }
+                });
+            }
+        );
+
+    rebasedResult.assets = copies.reverse();
 
-    if (tasks[0].outFile) {
-        tasks = reduceTasksByOutFile(tasks);
+    if (!sourceMap) {
+        delete rebasedResult.map;
+        rebasedResult.css = Buffer.from(
+            css.replace(/\n?\/\*# sourceMappingURL=data:\S+ \*\//, '')
+        );
+        return rebasedResult;
     }
 
-    const compiled = tasks.map((task) => compileSync(task));
+    rebasedResult.map = Buffer.from(
+        JSON.stringify({ ...map, mappings: encodeMappings(lines) })
+    );
+    rebasedResult.css = embedSourceMap(css, rebasedResult.map);
+    return rebasedResult;
+}
 
-    // write files to disk?
-    if (output) {
-        compiled.forEach(({ css, map }, i) => {
-            const task = tasks[i];
-            writeFileSync(css, task.outFile);
+/**
+ * Synchronously rebases the `url()` references of a compiled result onto its output file via
+ * the "assets" config option.
+ */
+function resolveAssetsSync(result, task, options) {
+    if (!result.map) {
+        return result;
+    }
+
+    const references = getAssetReferences(result, task);
+    const contents =
+        typeof options.assets === 'string'
+            ? references.map(({ assetPath }) => {
+                  try {
+                      return fs.readFileSync(assetPath);
+                  } catch (err) {
+                      return null;
+                  }
+              })
+            : [];
+
+    return rebaseAssets(result, task, options, references, contents);
+}
+
+/**
+ * Asynchronously rebases the `url()` references of a compiled result onto its output file via
+ * the "assets" config option; returns promise.
+ */
+async function resolveAssets(result, task, options) {
+    if (!result.map) {
+        return result;
+    }
+
+    const references = getAssetReferences(result, task);
+    const contents =
+        typeof options.assets === 'string'
+            ? await Promise.all(
+                  references.map(({ assetPath }) =>
+                      fs.readFile(assetPath).catch(() => null)
+                  )
+              )
+            : [];
+
+    return rebaseAssets(result, task, options, references, contents);
+}
+
+/**
+ * Determines the output file path for a given source via the "outFile"
+ * config option; returns an absolute path.
+ */
+function getOutFile(source, outFile, relativeSource) {
+    let resolvedOutFile = outFile;
+
+    if (isFile(source)) {
+        // dynamic output; run the given iterator function on each source
+        if (typeof outFile === 'function') {
+            resolvedOutFile = outFile(source);
+        }
+
+        // output is a directory; append the source's path relative to its base
+        if (!isFile(resolvedOutFile) && !isTemplate(resolvedOutFile)) {
+            resolvedOutFile = path.join(
+                resolvedOutFile,
+                relativeSource || path.basename(source)
+            );
+        }
+    }
+
+    // output is a template; resolve its tokens
+    if (isTemplate(resolvedOutFile)) {
+        resolvedOutFile = resolveTemplate(
+            resolvedOutFile,
+            isFile(source) ? relativeSource || path.basename(source) : null
+        );
+    }
+
+    // throw error if the determined output is not a valid file path
+    if (!isFile(resolvedOutFile)) {
+        throw new Error(
+            `Invalid output: "${outFile}" is not a valid file path for "output" or "outFile".`
+        );
+    }
+
+    // resolve and ensure '.css' extension
+    return path.resolve(resolvedOutFile.replace(/\.(s[ca]|c)ss$/, '.css'));
+}
+
+/**
+ * Determines the source map file path for a given source via the "sourceMap"
+ * config option and an output file path; returns an absolute path. A directory source map
+ * mirrors the output file's path relative to its own output directory, if any.
+ */
+function getSourceMap(
+    outFile,
+    sourceMap,
+    relativeOutFile = path.basename(outFile),
+    relativeSource = null
+) {
+    let resolvedSourceMap = sourceMap;
+
+    // dynamic source map; run the given iterator function
+    if (typeof sourceMap === 'function') {
+        resolvedSourceMap = sourceMap(outFile);
+    }
+
+    // source map is a boolean or embedded; use the output file
+    if (sourceMap === true || sourceMap === 'inline') {
+        resolvedSourceMap = outFile;
+    }
+
+    // source map is a template; resolve its tokens
+    if (isTemplate(resolvedSourceMap)) {
+        resolvedSourceMap = resolveTemplate(resolvedSourceMap, relativeSource);
+
+        if (!isFile(resolvedSourceMap)) {
+            throw new Error(
+                `Invalid source map: "${sourceMap}" is not a valid file path for "sourceMap".`
+            );
+        }
+    }
+
+    // source map is a directory; append the output's relative path
+    if (!isFile(resolvedSourceMap)) {
+        resolvedSourceMap = path.join(resolvedSourceMap, relativeOutFile);
+    }
+
+    // resolve and ensure '.map' extension
+    return path.resolve(resolvedSourceMap.replace(/(\.map)?$/, '.map'));
+}
+
+/**
+ * Gets the path at which the css of a source would sit when it has no output file; beside a
+ * file source, or in the current working directory for a data source.
+ */
+function getVirtualOutFile(file) {
+    return path.resolve(
+        file ? file.replace(/\.(s[ca]|c)ss$/, '.css') : 'stdin.css'
+    );
+}
+
+/**
+ * Takes some sources and user-defined options to return a set of node-sass config
+ * objects ready for compilation.
+ */
+function getTasks(sources, options) {
+    if (Array.isArray(sources)) {
+        return sources.map((source) => getTasks(source, options));
+    }
+
+    const {
+        file,
+        data,
+        output,
+        sourceMap,
+        globOptions,
+        cache,
+        concurrency,
+        workers,
+        base,
+        partials,
+        bail,
+        resultsAs,
+        manifest,
+        dryRun,
+        nodeModules,
+        assets,
+        assetFunctions: assetFunctionsOption,
+        reporter,
+        ...nodeSassOptions
+    } = options;
+    const outFile = output || options.outFile;
+    const task = {};
+
+    if (isFile(sources)) {
+        task.file = sources;
+    } else if (typeof sources === 'object') {
+        // named virtual source; compiled from its data as if it were the file
+        task.file = sources.file;
+        task.data = sources.data;
+    } else {
+        task.data = sources;
+    }
+
+    const relativeSource = task.file && getRelativeSource(task.file, options);
+
+    if (outFile) {
+        const relativeOutFile =
+            relativeSource && relativeSource.replace(/\.(s[ca]|c)ss$/, '.css');
+
+        task.outFile = getOutFile(
+            task.file || task.data,
+            outFile,
+            relativeSource
+        );
+
+        if (sourceMap) {
+            // mirror the output's path relative to its directory, or the root of its template
+            let mirroredOutFile;
+
+            if (isTemplate(outFile)) {
+                mirroredOutFile = path.relative(
+                    path.resolve(getTemplateRoot(outFile)),
+                    task.outFile
+                );
+            } else if (
+                relativeOutFile &&
+                task.outFile.endsWith(path.sep + relativeOutFile)
+            ) {
+                mirroredOutFile = relativeOutFile;
+            }
+
+            task.sourceMap = getSourceMap(
+                task.outFile,
+                sourceMap,
+                mirroredOutFile,
+                relativeSource
+            );
+        }
+    } else if (sourceMap) {
+        // without an output, the map is generated in memory as if the css sat beside its source
+        task.sourceMap = getSourceMap(
+            getVirtualOutFile(task.file),
+            sourceMap,
+            undefined,
+            relativeSource
+        );
+    }
+
+    if (sourceMap === 'inline') {
+        task.sourceMapEmbed = true;
+    }
+
+    // assets are found via an embedded source map, which is removed once they are rebased
+    if (assets && task.outFile && !sourceMap) {
+        task.sourceMap = getSourceMap(task.outFile, 'inline');
+        task.sourceMapEmbed = true;
+    }
+
+    // the built-in importers run after any given importers, glob imports first
+    task.importer = arrayify(nodeSassOptions.importer || []).concat(
+        nodeModules ? [globImporter, packageImporter] : globImporter
+    );
+
+    // read by the glob importer
+    if (globOptions) {
+        task.globOptions = globOptions;
+    }
+
+    // the built-in functions are merged with any given functions, which take precedence
+    if (assetFunctionsOption) {
+        task.assetFunctions = assetFunctionsOption;
+        task.functions = [assetFunctions].concat(
+            nodeSassOptions.functions || []
+        );
+    }
+
+    return {
+        ...nodeSassOptions,
+        ...task
+    };
+}
+
+/**
+ * Reduces a list of tasks by their common output files; tasks that share an output file will
+ * have their sources combined, in order, into a single data source. File sources are combined as
+ * sass import statements and data sources are concatenated directly. Combined sources including
+ * a virtual source are compiled as if they were the first virtual source.
+ */
+function reduceTasksByOutFile(tasks) {
+    const outFileLookup = [];
+    const groupedTasks = [];
+
+    // groups tasks with common output files
+    arrayify(tasks).forEach((task) => {
+        const index = outFileLookup.indexOf(task.outFile);
+
+        if (index === -1) {
+            outFileLookup.push(task.outFile);
+            groupedTasks.push([task]);
+        } else {
+            groupedTasks[index].push(task);
+        }
+    });
+
+    // map grouped tasks and concat their sources
+    return groupedTasks.map((group) => {
+        const [firstTask] = group;
+        const virtualTask = group.find(
+            ({ file, data }) => file && data !== undefined
+        );
+        const modifiedTask = { ...firstTask };
+
+        if (group.length === 1) {
+            return modifiedTask;
+        }
+
+        delete modifiedTask.file;
+
+        if (virtualTask) {
+            modifiedTask.file = virtualTask.file;
+        }
+
+        modifiedTask.data = group
+            .map(({ file, data }) =>
+                data !== undefined ? data : joinSourceFiles(file)
+            )
+            .join('\n');
+
+        return modifiedTask;
+    });
+}
+
+/**
+ * Validates the options passed into the compiler, ensuring required props are present.
+ */
+function validateOptions(options) {
+    if (typeof options !== 'object') {
+        throw new Error('Invalid: options is not an object');
+    }
+
+    const {
+        data,
+        file,
+        output,
+        outFile,
+        workers,
+        manifest,
+        assets,
+        reporter
+    } = options;
+
+    if (!file && !data) {
+        throw new Error(
+            'No input specified: either the "data" or "file" option is required.'
+        );
+    }
+
+    if (assets && !output && !outFile) {
+        throw new Error(
+            'No output specified: either the "output" or "outFile" option is required with "assets".'
+        );
+    }
+
+    if (
+        reporter &&
+        typeof reporter !== 'function' &&
+        !['summary', 'json'].includes(reporter)
+    ) {
+        throw new Error(
+            `Invalid reporter: "${reporter}" is not one of "summary", "json" or a function.`
+        );
+    }
+
+    if (manifest && !output) {
+        throw new Error(
+            'No output specified: the "output" option is required with "manifest".'
+        );
+    }
+
+    if (
+        workers &&
+        ['importer', 'functions'].some(
+            (name) =>
+                options[name] &&
+                arrayify(options[name]).some(
+                    (option) => typeof option !== 'string'
+                )
+        )
+    ) {
+        throw new Error(
+            'Invalid: the "importer" and "functions" options must be module paths when "workers" is enabled.'
+        );
+    }
+
+    return options;
+}
+
+/**
+ * Reduces a list of tasks by their output files when an output is specified.
+ */
+function reduceTasks(tasks) {
+    if (tasks.length && tasks[0].outFile) {
+        return reduceTasksByOutFile(tasks);
+    }
+
+    return tasks;
+}
+
+/**
+ * Gets the tasks a task was reduced from; tasks that share an output file have had their
+ * sources combined.
+ */
+function getSourceTasks(task, unreducedTasks) {
+    return task.outFile
+        ? unreducedTasks.filter(({ outFile }) => outFile === task.outFile)
+        : [task];
+}
+
+/**
+ * Gets the file a task's source map is written to, if any; maps embedded in the css and maps
+ * of tasks without an output file are not written.
+ */
+function getSourceMapFile({ outFile, sourceMap, sourceMapEmbed }) {
+    return outFile && !sourceMapEmbed ? sourceMap : undefined;
+}
+
+/**
+ * Attaches the metadata of the task a result was compiled from; its original file and/or data
+ * source(s), output file and source map. Results are marked as neither written nor unchanged
+ * until they are written to disk.
+ */
+function addTaskInfo(result, task, unreducedTasks) {
+    const taskInfo = result;
+    const sourceTasks = getSourceTasks(task, unreducedTasks);
+    const files = sourceTasks.filter(({ file }) => file);
+    const data = sourceTasks.filter(({ file }) => !file);
+
+    if (files.length) {
+        taskInfo.file = marshalArray(files.map(({ file }) => file));
+    }
+
+    if (data.length) {
+        taskInfo.data = marshalArray(data.map((sourceTask) => sourceTask.data));
+    }
+    taskInfo.outFile = task.outFile;
+    taskInfo.sourceMap = getSourceMapFile(task);
+    taskInfo.written = false;
+    taskInfo.unchanged = false;
+
+    return taskInfo;
+}
+
+/**
+ * Marshals results via the "resultsAs" config option; either a single result or an array for
+ * multiple results by default, always an array, or an object mapping each result by its output
+ * file, falling back to its source file or index.
+ */
+function marshalResults(results, resultsAs) {
+    if (resultsAs === 'array') {
+        return results;
+    }
+
+    if (resultsAs === 'map') {
+        const resultsMap = {};
+
+        results.forEach((result, i) => {
+            resultsMap[result.outFile || result.file || i] = result;
+        });
+
+        return resultsMap;
+    }
+
+    return marshalArray(results);
+}
+
+/**
+ * Synchronously writes the css and source maps of compiled results to disk, marking each result
+ * as written or, when its files already held the same content, unchanged.
+ */
+function writeCompiledSync(results) {
+    results.forEach((result) => {
+        const writeInfo = result;
+        const { css, map, outFile, sourceMap, assets = [] } = result;
+        const written = [writeFileSync(css, outFile)];
+
+        if (map && sourceMap) {
+            written.push(writeFileSync(map, sourceMap));
+        }
+
+        assets.forEach(({ source, file }) => {
+            written.push(writeFileSync(fs.readFileSync(source), file));
+        });
+
+        writeInfo.written = written.some(Boolean);
+        writeInfo.unchanged = !writeInfo.written;
+    });
+}
+
+/**
+ * Asynchronously writes the css and source maps of compiled results to disk, marking each
+ * result as written or, when its files already held the same content, unchanged; returns promise.
+ */
+function writeCompiled(results) {
+    return Promise.all(
+        results.map(async (result) => {
+            const writeInfo = result;
+            const { css, map, outFile, sourceMap, assets = [] } = result;
+            const toWrite = [writeFile(css, outFile)];
+
+            if (map && sourceMap) {
+                toWrite.push(writeFile(map, sourceMap));
+            }
+
+            assets.forEach(({ source, file }) => {
+                toWrite.push(
+                    fs
+                        .readFile(source)
+                        .then((contents) => writeFile(contents, file))
+                );
+            });
+
+            writeInfo.written = (await Promise.all(toWrite)).some(Boolean);
+            writeInfo.unchanged = !writeInfo.written;
+        })
+    );
+}
+
+/**
+ * Utility for converting a path to one relative to the current working directory, with forward
+ * slashes.
+ */
+function toRelativePath(filePath) {
+    return path
+        .relative(process.cwd(), path.resolve(filePath))
+        .split(path.sep)
+        .join('/');
+}
+
+/**
+ * Gets the asset manifest entries of compiled results; each file source maps to its output
+ * file, source map and the byte size and content hash of its css.
+ */
+function getManifestEntries(results) {
+    const entries = {};
+
+    results.forEach(({ file, css, outFile, sourceMap }) => {
+        const entry = {
+            output: toRelativePath(outFile),
+            sourceMap: sourceMap ? toRelativePath(sourceMap) : undefined,
+            size: css.length,
+            hash: getHash(css)
+        };
+
+        // data sources have no path to map from
+        arrayify(file || []).forEach((source) => {
+            entries[toRelativePath(source)] = entry;
+        });
+    });
+
+    return entries;
+}
+
+/**
+ * Synchronously writes the asset manifest of compiled results to disk, merged with any existing
+ * manifest.
+ */
+function writeManifestSync(manifestPath, results) {
+    const manifest = fs.readJsonSync(manifestPath, { throws: false }) || {};
+
+    fs.outputJsonSync(
+        manifestPath,
+        { ...manifest, ...getManifestEntries(results) },
+        { spaces: 2 }
+    );
+}
+
+/**
+ * Asynchronously writes the asset manifest of compiled results to disk, merged with any
+ * existing manifest; returns promise.
+ */
+async function writeManifest(manifestPath, results) {
+    const manifest = (await fs.readJson(manifestPath).catch(() => null)) || {};
+
+    return fs.outputJson(
+        manifestPath,
+        { ...manifest, ...getManifestEntries(results) },
+        { spaces: 2 }
+    );
+}
+
+/**
+ * Utility for getting the raw and gzipped byte sizes of some content.
+ */
+function getByteSizes(content) {
+    return { size: content.length, gzipSize: zlib.gzipSync(content).length };
+}
+
+/**
+ * Utility for formatting a byte size in a readable form.
+ */
+function formatBytes(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} kB`;
+}
+
+/**
+ * Gets the build report of compiled results; the compile duration, included file count and css
+ * and source map sizes of each output, and their totals over a build of the given duration.
+ */
+function getReport(results, duration) {
+    const includedFiles = new Set();
+    const outputs = results.map(
+        ({ file, outFile, sourceMap, css, map, stats }) => {
+            const output = {
+                file,
+                outFile,
+                duration: stats.duration,
+                includedFiles: stats.includedFiles.length,
+                ...getByteSizes(css)
+            };
+
+            stats.includedFiles.forEach((includedFile) =>
+                includedFiles.add(includedFile)
+            );
+
+            // only maps written to a file; embedded maps are part of the css
+            if (map && sourceMap) {
+                const { size, gzipSize } = getByteSizes(map);
+
+                output.sourceMap = sourceMap;
+                output.mapSize = size;
+                output.mapGzipSize = gzipSize;
+            }
+
+            return output;
+        }
+    );
+    const sum = (key) =>
+        outputs.reduce((total, output) => total + (output[key] || 0), 0);
+
+    return {
+        outputs,
+        total: {
+            outputs: outputs.length,
+            duration,
+            includedFiles: includedFiles.size,
+            size: sum('size'),
+            gzipSize: sum('gzipSize'),
+            mapSize: sum('mapSize'),
+            mapGzipSize: sum('mapGzipSize')
+        }
+    };
+}
+
+/**
+ * Formats a build report as a readable summary; a line for each output and one for the total.
+ */
+function formatSummary({ outputs, total }) {
+    const formatSizes = ({ size, gzipSize, mapSize, mapGzipSize }) =>
+        `${formatBytes(size)} (gzip ${formatBytes(gzipSize)})${
+            mapSize
+                ? `, map ${formatBytes(mapSize)} (gzip ${formatBytes(
+                      mapGzipSize
+                  )})`
+                : ''
+        }`;
+    const lines = outputs.map((output) => {
+        const name = output.outFile
+            ? toRelativePath(output.outFile)
+            : arrayify(output.file || 'stdin')
+                  .map(toRelativePath)
+                  .join(', ');
+
+        return `${name}  ${formatSizes(output)}  ${
+            output.includedFiles
+        } file(s)  ${output.duration} ms`;
+    });
+
+    return `${lines
+        .concat(
+            `Total: ${total.outputs} output(s)  ${formatSizes(total)}  ${
+                total.includedFiles
+            } file(s)  ${total.duration} ms`
+        )
+        .join(os.EOL)}${os.EOL}`;
+}
+
+/**
+ * Reports a build of compiled results via the "reporter" config option; a summary or JSON
+ * printed to stdout, or a custom function called with the report, whose result is returned.
+ */
+function reportBuild(reporter, results, startTime) {
+    const report = getReport(results, Date.now() - startTime);
+
+    if (typeof reporter === 'function') {
+        return reporter(report);
+    }
+
+    process.stdout.write(
+        reporter === 'json'
+            ? `${JSON.stringify(report, null, 2)}${os.EOL}`
+            : formatSummary(report)
+    );
+    return undefined;
+}
+
+/**
+ * Gets the key under which a task is recorded in the cache manifest.
+ */
+function getCacheKey(task) {
+    return task.outFile || task.file || getHash(task.data);
+}
+
+/**
+ * Creates a hash of a task's effective node-sass options; functions are hashed by their source.
+ */
+function getOptionsHash(task) {
+    return getHash(
+        JSON.stringify(task, (key, value) =>
+            typeof value === 'function' ? value.toString() : value
+        )
+    );
+}
+
+/**
+ * Creates a cache manifest entry for a task from its options hash, the content hashes of its
+ * included files and the files matched by its glob imports; the entry's fingerprint names the
+ * file its result is cached in.
+ */
+function createCacheEntry(task, fileHashes, globMatches = {}) {
+    const options = getOptionsHash(task);
+    const fingerprint = getHash(
+        options + JSON.stringify(fileHashes) + JSON.stringify(globMatches)
+    );
+
+    return { options, files: fileHashes, globs: globMatches, fingerprint };
+}
+
+/**
+ * Utility for determining whether a cache manifest entry is well-formed; anything else, such as
+ * an entry written by an older version, is treated as a cache miss.
+ */
+function isCacheEntry(entry) {
+    return (
+        !!entry &&
+        typeof entry.fingerprint === 'string' &&
+        !!entry.files &&
+        typeof entry.files === 'object' &&
+        !!entry.globs &&
+        typeof entry.globs === 'object'
+    );
+}
+
+/**
+ * Determines whether a cache manifest entry is still valid for a task, given the current
+ * content hashes of the entry's files and the current matches of its glob imports.
+ */
+function isCacheEntryValid(entry, task, fileHashes, globMatches) {
+    return (
+        !!fileHashes &&
+        createCacheEntry(task, fileHashes, globMatches).fingerprint ===
+            entry.fingerprint
+    );
+}
+
+/**
+ * Converts a node-sass result to a JSON-serializable object.
+ */
+function serializeResult({ stats, css, map }) {
+    return {
+        stats,
+        css: css.toString(),
+        map: map && map.toString()
+    };
+}
+
+/**
+ * Converts a serialized result, or one received from a worker, back into a node-sass result.
+ */
+function deserializeResult({ stats, css, map }) {
+    const result = { stats, css: Buffer.from(css) };
+
+    if (map) {
+        result.map = Buffer.from(map);
+    }
+
+    return result;
+}
+
+/**
+ * Gets the file path of the cache manifest within the cache directory.
+ */
+function getCacheManifestPath(cacheDir) {
+    return path.resolve(cacheDir, 'manifest.json');
+}
+
+/**
+ * Gets the file path of a cached result within the cache directory.
+ */
+function getCachedResultPath(cacheDir, fingerprint) {
+    return path.resolve(cacheDir, `${fingerprint}.json`);
+}
+
+/**
+ * Synchronously hashes the contents of the given files; returns null if any can't be read.
+ */
+function getFileHashesSync(files) {
+    const fileHashes = {};
+
+    try {
+        files.forEach((file) => {
+            fileHashes[file] = getHash(fs.readFileSync(file));
+        });
+    } catch (err) {
+        return null;
+    }
+
+    return fileHashes;
+}
+
+/**
+ * Asynchronously hashes the contents of the given files; returns promise, resolving null if
+ * any can't be read.
+ */
+async function getFileHashes(files) {
+    const fileHashes = {};
+
+    try {
+        const contents = await Promise.all(
+            files.map((file) => fs.readFile(file))
+        );
+
+        files.forEach((file, i) => {
+            fileHashes[file] = getHash(contents[i]);
+        });
+    } catch (err) {
+        return null;
+    }
+
+    return fileHashes;
+}
+
+/**
+ * Gets the file names of the cached results in a cache directory that are no longer referenced
+ * by the manifest; only files named like cached results are considered, so that any other files
+ * in the directory are left alone.
+ */
+function getUnreferencedResults(fileNames, manifest) {
+    const referenced = Object.keys(manifest).map(
+        (key) => `${manifest[key].fingerprint}.json`
+    );
+
+    return fileNames.filter(
+        (fileName) =>
+            /^[0-9a-f]{32}\.json$/.test(fileName) &&
+            !referenced.includes(fileName)
+    );
+}
+
+/**
+ * Synchronously removes cached results that are no longer referenced by the manifest.
+ */
+function pruneCacheSync(cacheDir, manifest) {
+    getUnreferencedResults(fs.readdirSync(cacheDir), manifest).forEach(
+        (fileName) => {
+            fs.removeSync(path.join(cacheDir, fileName));
+        }
+    );
+}
+
+/**
+ * Asynchronously removes cached results that are no longer referenced by the manifest;
+ * returns promise.
+ */
+async function pruneCache(cacheDir, manifest) {
+    const fileNames = await fs.readdir(cacheDir);
+
+    return Promise.all(
+        getUnreferencedResults(fileNames, manifest).map((fileName) =>
+            fs.remove(path.join(cacheDir, fileName))
+        )
+    );
+}
+
+/**
+ * Synchronously gets a task's result from the cache if its inputs are unchanged; returns null
+ * otherwise.
+ */
+function getCachedResultSync(task, cacheDir, manifest) {
+    const entry = manifest[getCacheKey(task)];
+
+    if (!isCacheEntry(entry)) {
+        return null;
+    }
+
+    const fileHashes = getFileHashesSync(Object.keys(entry.files));
+    const globMatches = getGlobImportMatchesSync(
+        Object.keys(entry.globs),
+        task.globOptions
+    );
+    const resultPath = getCachedResultPath(cacheDir, entry.fingerprint);
+
+    if (
+        !isCacheEntryValid(entry, task, fileHashes, globMatches) ||
+        !fs.pathExistsSync(resultPath)
+    ) {
+        return null;
+    }
+
+    const result = deserializeResult(fs.readJsonSync(resultPath));
+    result.cached = true;
+    return result;
+}
+
+/**
+ * Synchronously compiles tasks with the given compiler function, serving the results of tasks
+ * whose inputs are unchanged from the cache and recording the rest.
+ */
+function compileCachedSync(tasks, cacheDir, compiler) {
+    const manifestPath = getCacheManifestPath(cacheDir);
+    const manifest = fs.readJsonSync(manifestPath, { throws: false }) || {};
+    const cachedResults = tasks.map((task) =>
+        getCachedResultSync(task, cacheDir, manifest)
+    );
+    const uncachedTasks = tasks.filter((task, i) => !cachedResults[i]);
+    const uncachedResults = compiler(uncachedTasks);
+
+    uncachedTasks.forEach((task, i) => {
+        const result = uncachedResults[i];
+
+        // failed compiles are left out of the cache
+        if (result instanceof Error) {
+            return;
+        }
+
+        const key = getCacheKey(task);
+        const fileHashes = getFileHashesSync(
+            result.stats.includedFiles.map((file) => path.resolve(file))
+        );
+
+        result.cached = false;
+
+        // results whose included files can't all be read, such as those of virtual imports,
+        // can't be validated later and are left out of the cache
+        if (!fileHashes) {
+            delete manifest[key];
+            return;
+        }
+
+        manifest[key] = createCacheEntry(
+            task,
+            fileHashes,
+            getGlobImportMatchesSync(result.stats.globImports, task.globOptions)
+        );
+
+        fs.outputJsonSync(
+            getCachedResultPath(cacheDir, manifest[key].fingerprint),
+            serializeResult(result)
+        );
+    });
+
+    fs.outputJsonSync(manifestPath, manifest);
+    pruneCacheSync(cacheDir, manifest);
+
+    return cachedResults.map((result) => result || uncachedResults.shift());
+}
+
+/**
+ * Asynchronously gets a task's result from the cache if its inputs are unchanged; returns
+ * promise, resolving null otherwise.
+ */
+async function getCachedResult(task, cacheDir, manifest) {
+    const entry = manifest[getCacheKey(task)];
+
+    if (!isCacheEntry(entry)) {
+        return null;
+    }
+
+    const fileHashes = await getFileHashes(Object.keys(entry.files));
+    const globMatches = await getGlobImportMatches(
+        Object.keys(entry.globs),
+        task.globOptions
+    );
+    const resultPath = getCachedResultPath(cacheDir, entry.fingerprint);
+
+    if (
+        !isCacheEntryValid(entry, task, fileHashes, globMatches) ||
+        !(await fs.pathExists(resultPath))
+    ) {
+        return null;
+    }
+
+    const result = deserializeResult(await fs.readJson(resultPath));
+    result.cached = true;
+    return result;
+}
+
+/**
+ * Asynchronously compiles tasks with the given compiler function, serving the results of tasks
+ * whose inputs are unchanged from the cache and recording the rest; returns promise.
+ */
+async function compileCached(tasks, cacheDir, compiler) {
+    const manifestPath = getCacheManifestPath(cacheDir);
+    const manifest = (await fs.readJson(manifestPath).catch(() => null)) || {};
+    const cachedResults = await Promise.all(
+        tasks.map((task) => getCachedResult(task, cacheDir, manifest))
+    );
+    const uncachedTasks = tasks.filter((task, i) => !cachedResults[i]);
+    const uncachedResults = await compiler(uncachedTasks);
+
+    await Promise.all(
+        uncachedTasks.map(async (task, i) => {
+            const result = uncachedResults[i];
+
+            // failed compiles are left out of the cache
+            if (result instanceof Error) {
+                return undefined;
+            }
+
+            const key = getCacheKey(task);
+            const fileHashes = await getFileHashes(
+                result.stats.includedFiles.map((file) => path.resolve(file))
+            );
+
+            result.cached = false;
+
+            // results whose included files can't all be read, such as those of virtual
+            // imports, can't be validated later and are left out of the cache
+            if (!fileHashes) {
+                delete manifest[key];
+                return undefined;
+            }
+
+            manifest[key] = createCacheEntry(
+                task,
+                fileHashes,
+                await getGlobImportMatches(
+                    result.stats.globImports,
+                    task.globOptions
+                )
+            );
+
+            return fs.outputJson(
+                getCachedResultPath(cacheDir, manifest[key].fingerprint),
+                serializeResult(result)
+            );
+        })
+    );
+
+    await fs.outputJson(manifestPath, manifest);
+    await pruneCache(cacheDir, manifest);
+
+    return cachedResults.map((result) => result || uncachedResults.shift());
+}
+
+/**
+ * Maps over a list of items with an asynchronous iterator, keeping no more than the given
+ * number of iterations in flight; returns promise, resolving the results in order.
+ */
+function mapConcurrent(items, limit, iterator) {
+    const results = [];
+    let index = 0;
+
+    function next() {
+        if (index >= items.length) {
+            return Promise.resolve();
+        }
+
+        const currentIndex = index;
+        index += 1;
+
+        return iterator(items[currentIndex]).then((result) => {
+            results[currentIndex] = result;
+            return next();
+        });
+    }
+
+    const runners = [];
+
+    while (runners.length < Math.min(limit || items.length, items.length)) {
+        runners.push(next());
+    }
+
+    return Promise.all(runners).then(() => results);
+}
+
+/**
+ * Converts a task for a worker process, which requires the built-in importers and functions by
+ * their module paths since functions can't be sent to it.
+ */
+function getWorkerTask(task) {
+    const builtInModules = new Map([
+        [globImporter, './glob-importer'],
+        [packageImporter, './package-importer'],
+        [assetFunctions, './asset-functions']
+    ]);
+    const toModulePath = (option) =>
+        builtInModules.has(option)
+            ? require.resolve(builtInModules.get(option))
+            : option;
+    const workerTask = {
+        ...task,
+        importer: arrayify(task.importer || []).map(toModulePath)
+    };
+
+    if (Array.isArray(task.functions)) {
+        workerTask.functions = task.functions.map(toModulePath);
+    }
+
+    return workerTask;
+}
+
+/**
+ * Asynchronously compiles tasks across a pool of worker processes; returns promise, resolving
+ * the results in the order of the tasks. Unless bailing, a failed compile resolves its error in
+ * place of a result rather than rejecting. Processes are used rather than worker threads since
+ * node-sass' native binding can't be loaded in more than one thread.
+ */
+function compileInWorkers(tasks, poolSize, bail) {
+    return new Promise((resolve, reject) => {
+        const results = [];
+        const workers = [];
+        let nextIndex = 0;
+        let resultCount = 0;
+        let settled = false;
+
+        function settle(err) {
+            settled = true;
+            workers.forEach((worker) => worker.kill());
+
+            if (err) {
+                reject(err);
+            } else {
+                resolve(results);
+            }
+        }
+
+        function dispatch(worker) {
+            if (nextIndex < tasks.length) {
+                worker.send({
+                    index: nextIndex,
+                    task: getWorkerTask(tasks[nextIndex])
+                });
+                nextIndex += 1;
+            }
+        }
+
+        function onMessage(worker, { index, result, error }) {
+            if (error && bail) {
+                settle(Object.assign(new Error(error.message), error));
+                return;
+            }
+
+            results[index] = error
+                ? Object.assign(new Error(error.message), error)
+                : removeGlobImports(deserializeResult(result));
+            resultCount += 1;
+
+            if (resultCount === tasks.length) {
+                settle();
+            } else {
+                dispatch(worker);
+            }
+        }
+
+        function onExit(code) {
+            if (!settled) {
+                settle(
+                    new Error(`Worker exited unexpectedly with code ${code}.`)
+                );
+            }
+        }
+
+        if (!tasks.length) {
+            settle();
+            return;
+        }
+
+        while (workers.length < Math.min(poolSize, tasks.length)) {
+            const worker = childProcess.fork(path.join(__dirname, 'worker.js'));
+
+            worker.on('message', (message) => onMessage(worker, message));
+            worker.on('exit', onExit);
+
+            workers.push(worker);
+            dispatch(worker);
+        }
+    });
+}
+
+/**
+ * Synchronously compiles a list of tasks; unless bailing on the first error, the errors of
+ * failed compiles are returned in place of their results.
+ */
+function compileTasksSync(tasks, { bail = true }) {
+    return tasks.map((task) => {
+        try {
+            return compileSync(task);
+        } catch (err) {
+            if (bail) {
+                throw err;
+            }
+
+            return err;
+        }
+    });
+}
+
+/**
+ * Asynchronously compiles a list of tasks, either in a pool of worker processes or in the main
+ * process with a limited number of compiles in flight; returns promise. Unless bailing on the
+ * first error, the errors of failed compiles are resolved in place of their results.
+ */
+function compileTasks(tasks, { concurrency, workers, bail = true }) {
+    if (workers) {
+        return compileInWorkers(
+            tasks,
+            workers === true ? os.cpus().length : workers,
+            bail
+        );
+    }
+
+    return mapConcurrent(tasks, concurrency, (task) =>
+        bail ? compile(task) : compile(task).catch((err) => err)
+    );
+}
+
+/**
+ * Creates an error for a list of tasks of which some failed to compile; the error's
+ * `outcomes` describe the source, output file and result or error of every task.
+ */
+function createCompileError(tasks, unreducedTasks, compiled) {
+    const outcomes = tasks.map((task, i) => {
+        const outcome = {
+            source: marshalArray(
+                getSourceTasks(task, unreducedTasks).map(
+                    ({ file, data }) => file || data
+                )
+            ),
+            outFile: task.outFile
+        };
+
+        if (compiled[i] instanceof Error) {
+            outcome.error = compiled[i];
+        } else {
+            outcome.result = compiled[i];
+        }
+
+        return outcome;
+    });
+    const errors = outcomes
+        .filter(({ error }) => error)
+        .map(({ error }) => error);
+    const err = new Error(
+        [`${errors.length} of ${tasks.length} source(s) failed to compile:`]
+            .concat(errors.map((error) => error.formatted || error.message))
+            .join(os.EOL)
+    );
+
+    err.errors = errors;
+    err.outcomes = outcomes;
+    return err;
+}
+
+/**
+ * Gets the build plan of a list of tasks without compiling them; the source(s) of each task,
+ * its output file and source map, and the node-sass options it would be compiled with.
+ */
+function getPlan(tasks, unreducedTasks) {
+    return tasks.map((task) => ({
+        source: marshalArray(
+            getSourceTasks(task, unreducedTasks).map(
+                ({ file, data }) => file || data
+            )
+        ),
+        outFile: task.outFile,
+        sourceMap: getSourceMapFile(task),
+        options: task
+    }));
+}
+
+/**
+ * Asynchronous rendering.
+ */
+async function render(options, callback) {
+    const startTime = Date.now();
+
+    try {
+        const {
+            output,
+            cache,
+            resultsAs,
+            manifest,
+            dryRun,
+            reporter
+        } = validateOptions(options);
+        const sources = await getSources(options);
+        const unreducedTasks = arrayify(getTasks(sources, options));
+        const tasks = reduceTasks(unreducedTasks);
+
+        if (dryRun) {
+            const taskPlan = getPlan(tasks, unreducedTasks);
+
+            if (typeof callback === 'function') {
+                callback(null, taskPlan);
+            }
+
+            return taskPlan;
+        }
+
+        const compiled = cache
+            ? await compileCached(tasks, cache, (toCompile) =>
+                  compileTasks(toCompile, options)
+              )
+            : await compileTasks(tasks, options);
+        const isCompiled = (item, i) => !(compiled[i] instanceof Error);
+
+        await Promise.all(
+            compiled.map(async (result, i) => {
+                if (isCompiled(result, i)) {
+                    addTaskInfo(result, tasks[i], unreducedTasks);
+                    resolveCombinedSourceMap(result);
+
+                    if (options.assets) {
+                        await resolveAssets(result, tasks[i], options);
+                    }
+
+                    resolveHashTokens(result);
+                }
+            })
+        );
+
+        // write files to disk?
+        if (output) {
+            await writeCompiled(compiled.filter(isCompiled));
+        }
+
+        if (manifest) {
+            await writeManifest(manifest, compiled.filter(isCompiled));
+        }
+
+        if (reporter) {
+            await reportBuild(reporter, compiled.filter(isCompiled), startTime);
+        }
+
+        if (!compiled.every(isCompiled)) {
+            throw createCompileError(tasks, unreducedTasks, compiled);
+        }
+
+        const results = marshalResults(compiled, resultsAs);
+
+        if (typeof callback === 'function') {
+            callback(null, results);
+        }
+
+        return results;
+    } catch (err) {
+        if (typeof callback === 'function') {
+            callback(err);
+        } else {
+            throw err;
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Synchronous rendering.
+ */
+function renderSync(options) {
+    const startTime = Date.now();
+    const {
+        output,
+        cache,
+        resultsAs,
+        manifest,
+        dryRun,
+        reporter
+    } = validateOptions(options);
+    const sources = getSourcesSync(options);
+    const unreducedTasks = arrayify(getTasks(sources, options));
+    const tasks = reduceTasks(unreducedTasks);
+
+    if (dryRun) {
+        return getPlan(tasks, unreducedTasks);
+    }
+
+    const compiled = cache
+        ? compileCachedSync(tasks, cache, (toCompile) =>
+              compileTasksSync(toCompile, options)
+          )
+        : compileTasksSync(tasks, options);
+    const isCompiled = (item, i) => !(compiled[i] instanceof Error);
+
+    compiled.forEach((result, i) => {
+        if (isCompiled(result, i)) {
+            addTaskInfo(result, tasks[i], unreducedTasks);
+            resolveCombinedSourceMap(result);
+
+            if (options.assets) {
+                resolveAssetsSync(result, tasks[i], options);
+            }
+
+            resolveHashTokens(result);
+        }
+    });
+
+    // write files to disk?
+    if (output) {
+        writeCompiledSync(compiled.filter(isCompiled));
+    }
+
+    if (manifest) {
+        writeManifestSync(manifest, compiled.filter(isCompiled));
+    }
+
+    if (reporter) {
+        reportBuild(reporter, compiled.filter(isCompiled), startTime);
+    }
+
+    if (!compiled.every(isCompiled)) {
+        throw createCompileError(tasks, unreducedTasks, compiled);
+    }
+
+    return marshalResults(compiled, resultsAs);
+}
+
+/**
+ * Synchronously resolves the build plan of the given options without compiling or writing
+ * anything; returns an array describing each output.
+ */
+function plan(options) {
+    return renderSync({ ...options, dryRun: true });
+}
+
+/**
+ * Utility for removing the comments from a stylesheet, so that commented out imports are ignored;
+ * strings and `url()`s are matched first so that slashes within them, such as those of
+ * `url(//host/file.css)`, are kept.
+ */
+function stripComments(contents) {
+    return contents.replace(
+        /("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|url\([^)]*\))|\/\*[\s\S]*?\*\/|\/\/[^\n]*/g,
+        (match, kept) => kept || ''
+    );
+}
+
+/**
+ * Parses the urls of the `@import`, `@use` and `@forward` rules of a stylesheet; plain css
+ * imports and built-in modules are left out, as they aren't files to depend on.
+ */
+function parseImports(contents, isIndented) {
+    const pattern = isIndented
+        ? /@(import|use|forward)\s+([^;\n]+)/g
+        : /@(import|use|forward)\s+([^;]+)/g;
+    const source = stripComments(contents);
+    const urls = [];
+    let match = pattern.exec(source);
+
+    while (match) {
+        const [, rule, params] = match;
+        const quoted = (params.match(/(['"])[^'"]*\1/g) || []).map((url) =>
+            url.slice(1, -1)
+        );
+        // the indented syntax allows imports without quotes
+        const ruleUrls = quoted.length
+            ? quoted
+            : params.split(',').map((url) => url.trim());
+
+        (rule === 'import' ? ruleUrls : ruleUrls.slice(0, 1))
+            .filter(
+                (url) =>
+                    url &&
+                    !/^(url\(|sass:|[a-z]+:\/\/|\/\/)|\.css$/i.test(url) &&
+                    !/^url\(/.test(params.trim())
+            )
+            .forEach((url) => urls.push(url));
+
+        match = pattern.exec(source);
+    }
+
+    return urls;
+}
+
+/**
+ * Resolves an import url of a stylesheet to the files it imports, the same as node-sass and the
+ * built-in importers; relative to the stylesheet, then the "includePaths", then node_modules
+ * when the "nodeModules" option is enabled. Glob imports resolve to every stylesheet they match.
+ * Returns null if the import can't be resolved.
+ */
+function resolveImportFiles(url, file, options) {
+    const { includePaths = [], nodeModules } = options;
+    const fileDir = path.dirname(file);
+
+    if (glob.hasMagic(url)) {
+        return glob
+            .sync(url, {
+                ...options.globOptions,
+                cwd: fileDir,
+                nodir: true,
+                absolute: true
+            })
+            .map((match) => path.resolve(match))
+            .filter((match) => /\.(s[ac]|c)ss$/.test(match) && match !== file)
+            .sort();
+    }
+
+    const resolved = [fileDir]
+        .concat(includePaths.map((includePath) => path.resolve(includePath)))
+        .map((dir) => packageImporter.resolveImport(path.resolve(dir, url)))
+        .find(Boolean);
+
+    if (resolved) {
+        return [resolved];
+    }
+
+    if (nodeModules) {
+        const packageImport = packageImporter.call(
+            { options: { includePaths: includePaths.join(path.delimiter) } },
+            url,
+            file
+        );
+
+        if (packageImport !== sass.NULL) {
+            return [packageImport.file];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Utility for finding every file reachable from the given files via a dependency lookup,
+ * excluding the files themselves.
+ */
+function getReachableFiles(files, lookup) {
+    const reached = new Set();
+    const queue = files.slice();
+
+    while (queue.length) {
+        (lookup[queue.shift()] || []).forEach((dependency) => {
+            if (!reached.has(dependency)) {
+                reached.add(dependency);
+                queue.push(dependency);
+            }
+        });
+    }
+
+    files.forEach((file) => reached.delete(file));
+
+    return reached;
+}
+
+/**
+ * Asynchronously resolves the dependency graph of the file sources without compiling them, by
+ * parsing their imports; returns promise. The graph maps each file to the files it imports
+ * directly and the files that import it directly, by absolute path, and finds the entry files
+ * affected by a change to any file.
+ */
+async function graph(options) {
+    if (typeof options !== 'object') {
+        throw new Error('Invalid: options is not an object');
+    }
+
+    if (!options.file) {
+        throw new Error(
+            'No input specified: the "file" option is required with "graph".'
+        );
+    }
+
+    const entries = (await getSourceFiles(options.file, options)).map((entry) =>
+        path.resolve(entry)
+    );
+    const imports = {};
+    const importedBy = {};
+    const unresolved = {};
+    const queue = entries.slice();
+
+    /* eslint-disable no-await-in-loop */
+    // parse every file reachable from the entries, breadth first
+    while (queue.length) {
+        const file = queue.shift();
+
+        if (!imports[file]) {
+            const contents = await fs.readFile(file, 'utf8');
+            const urls = parseImports(contents, path.extname(file) === '.sass');
+
+            imports[file] = [];
+            importedBy[file] = importedBy[file] || [];
+
+            urls.forEach((url) => {
+                const resolved = resolveImportFiles(url, file, options);
+
+                if (!resolved) {
+                    unresolved[file] = (unresolved[file] || []).concat(url);
+                    return;
+                }
+
+                resolved
+                    .filter((dependency) => !imports[file].includes(dependency))
+                    .forEach((dependency) => {
+                        imports[file].push(dependency);
+                        importedBy[dependency] = (
+                            importedBy[dependency] || []
+                        ).concat(file);
+                        queue.push(dependency);
+                    });
+            });
+        }
+    }
+    /* eslint-enable no-await-in-loop */
+
+    return {
+        entries,
+        imports,
+        importedBy,
+        unresolved,
+
+        /**
+         * Finds the entry files to rebuild when the given file changes; the file itself if it's
+         * an entry and every entry that imports it, directly or not.
+         */
+        getAffectedEntries(changedFile) {
+            const file = path.resolve(changedFile);
+            const dependents = getReachableFiles([file], importedBy);
+
+            return entries.filter(
+                (entry) => entry === file || dependents.has(entry)
+            );
+        }
+    };
+}
+
+/**
+ * Finds the files included in more than one source of the same combined output, by the graph's
+ * imports; each is listed with the output and the sources that include it.
+ */
+function getDuplicateImports(tasks, imports) {
+    const outputs = {};
+    const duplicates = [];
+
+    tasks.forEach(({ file, outFile }) => {
+        outputs[outFile] = (outputs[outFile] || []).concat(path.resolve(file));
+    });
+
+    Object.keys(outputs)
+        .filter((outFile) => outputs[outFile].length > 1)
+        .forEach((outFile) => {
+            const includedBy = {};
+
+            outputs[outFile].forEach((source) => {
+                [source, ...getReachableFiles([source], imports)].forEach(
+                    (file) => {
+                        includedBy[file] = (includedBy[file] || []).concat(
+                            source
+                        );
+                    }
+                );
+            });
+
+            Object.keys(includedBy)
+                .filter((file) => includedBy[file].length > 1)
+                .forEach((file) => {
+                    duplicates.push({
+                        outFile,
+                        file,
+                        sources: includedBy[file]
+                    });
+                });
+        });
+
+    return duplicates;
+}
+
+/**
+ * Asynchronously audits the file sources via their dependency graph; returns promise. Reports
+ * the partials matched by the sources that no entry imports, the imports that can't be resolved
+ * and the files included more than once in a combined output.
+ */
+async function audit(options) {
+    const { entries, imports, unresolved } = await graph(options);
+    const reachable = getReachableFiles(entries, imports);
+    const partials = (
+        await getSourceFiles(options.file, { ...options, partials: true })
+    )
+        .map((file) => path.resolve(file))
+        .filter(isPartial);
+    const combinedTasks =
+        options.output || options.outFile
+            ? arrayify(getTasks(await getSources(options), options)).filter(
+                  // virtual sources have no files to import
+                  ({ data }) => data === undefined
+              )
+            : [];
+
+    return {
+        orphans: partials.filter(
+            (file) => !entries.includes(file) && !reachable.has(file)
+        ),
+        unresolved: Object.keys(unresolved).reduce(
+            (unresolvedImports, file) =>
+                unresolvedImports.concat(
+                    unresolved[file].map((url) => ({ file, url }))
+                ),
+            []
+        ),
+        duplicates: getDuplicateImports(combinedTasks, imports)
+    };
+}
+
+/**
+ * Normalizes an exported config into a map of named targets; a config can be a single options
+ * object, an array of options objects with optional names or a map of options objects by name.
+ */
+function getConfigTargets(config) {
+    if (Array.isArray(config)) {
+        const targets = {};
+
+        config.forEach(({ name, ...targetOptions }, i) => {
+            targets[name || String(i)] = targetOptions;
+        });
+
+        return targets;
+    }
+
+    if (config.file || config.data) {
+        return { default: config };
+    }
+
+    return config;
+}
+
+/**
+ * Resolves the relative paths of a target's options against the directory of its config, so
+ * that a config loaded from another directory behaves the same as from its own.
+ */
+function resolveConfigPaths(targetOptions, configDir) {
+    const resolvePath = (option) => {
+        if (typeof option !== 'string') {
+            return option;
+        }
+
+        return isNegated(option)
+            ? `!${path.resolve(configDir, option.slice(1))}`
+            : path.resolve(configDir, option);
+    };
+    const resolvedOptions = { ...targetOptions };
+
+    ['file', 'includePaths', 'importer', 'functions'].forEach((name) => {
+        if (targetOptions[name]) {
+            resolvedOptions[name] = Array.isArray(targetOptions[name])
+                ? targetOptions[name].map(resolvePath)
+                : resolvePath(targetOptions[name]);
+        }
+    });
+
+    ['output', 'outFile', 'base', 'cache', 'manifest', 'assets'].forEach(
+        (name) => {
+            resolvedOptions[name] = resolvePath(targetOptions[name]);
+        }
+    );
+
+    // ignore patterns match against the resolved file patterns
+    if (targetOptions.globOptions) {
+        const { ignore, cwd } = targetOptions.globOptions;
+
+        resolvedOptions.globOptions = { ...targetOptions.globOptions };
+
+        if (ignore) {
+            resolvedOptions.globOptions.ignore = Array.isArray(ignore)
+                ? ignore.map(resolvePath)
+                : resolvePath(ignore);
+        }
+
+        if (cwd) {
+            resolvedOptions.globOptions.cwd = resolvePath(cwd);
+        }
+    }
+
+    // boolean and embedded source maps aren't paths
+    if (targetOptions.sourceMap !== 'inline') {
+        resolvedOptions.sourceMap = resolvePath(targetOptions.sourceMap);
+    }
+
+    Object.keys(resolvedOptions).forEach((name) => {
+        if (resolvedOptions[name] === undefined) {
+            delete resolvedOptions[name];
+        }
+    });
+
+    return resolvedOptions;
+}
+
+/**
+ * Resolves the paths of each target of a build config against the config's directory.
+ */
+function resolveConfigTargets(targets, configDir) {
+    const resolvedTargets = {};
+
+    Object.keys(targets).forEach((name) => {
+        resolvedTargets[name] = resolveConfigPaths(targets[name], configDir);
+    });
+
+    return resolvedTargets;
+}
+
+/**
+ * Loads the build config from a `sass-extra.config.js` file or the "sassExtra" key of the
+ * `package.json` file in the given directory; returns a map of named targets, whose paths are
+ * resolved against the directory.
+ */
+function loadConfig(cwd = process.cwd()) {
+    const configFile = path.resolve(cwd, 'sass-extra.config.js');
+    const pkgFile = path.resolve(cwd, 'package.json');
+
+    if (fs.pathExistsSync(configFile)) {
+        // always load the latest config
+        delete require.cache[configFile];
+
+        // eslint-disable-next-line global-require, import/no-dynamic-require
+        const config = require(configFile);
+
+        return resolveConfigTargets(
+            getConfigTargets(config),
+            path.dirname(configFile)
+        );
+    }
+
+    if (fs.pathExistsSync(pkgFile) && fs.readJsonSync(pkgFile).sassExtra) {
+        return resolveConfigTargets(
+            getConfigTargets(fs.readJsonSync(pkgFile).sassExtra),
+            path.dirname(pkgFile)
+        );
+    }
+
+    throw new Error(
+        'No config found: either a "sass-extra.config.js" file or a "sassExtra" key in package.json is required.'
+    );
+}
+
+/**
+ * Renders the given targets of the build config, or all of them, one after another; returns
+ * promise, resolving the results of each target by name.
+ */
+async function build(targetNames, { cwd } = {}) {
+    const targets = loadConfig(cwd);
+    const names = targetNames ? arrayify(targetNames) : Object.keys(targets);
+    const results = {};
+
+    names.forEach((name) => {
+        if (!targets[name]) {
+            throw new Error(
+                `Invalid target: "${name}" is not defined in the config.`
+            );
+        }
+    });
+
+    /* eslint-disable no-await-in-loop, no-restricted-syntax */
+    for (const name of names) {
+        try {
+            results[name] = await render(targets[name]);
+        } catch (err) {
+            err.target = name;
+            throw err;
+        }
+    }
+    /* eslint-enable no-await-in-loop, no-restricted-syntax */
+
+    return results;
+}
+
+/**
+ * Creates a watch entry for each task; an entry tracks the files a task depends on, seeded
+ * with the task's own source files until its first compile reports the included files.
+ */
+function getWatchEntries(sources, options) {
+    const unreducedTasks = arrayify(getTasks(sources, options));
+
+    return reduceTasks(unreducedTasks).map((task) => ({
+        key: getCacheKey(task),
+        task,
+        unreducedTasks,
+        dependencies: getSourceTasks(task, unreducedTasks)
+            .filter(({ file, data }) => file && data === undefined)
+            .map(({ file }) => path.resolve(file)),
+        globImports: []
+    }));
+}
+
+/**
+ * Watches the sources and their dependencies, recompiling only the tasks affected by a change;
+ * returns an event emitter with a `close` method.
+ */
+function watch(options) {
+    const { file, output, manifest, reporter } = validateOptions(options);
+
+    if (!file) {
+        throw new Error(
+            'No input specified: the "file" option is required with "watch".'
+        );
+    }
+
+    const watcher = new EventEmitter();
+    const fsWatcher = chokidar.watch(arrayify(file), { ignoreInitial: true });
+    let entries = [];
+    let queue = Promise.resolve();
+    let closed = false;
+
+    // errors are only emitted when listened for so that the watcher keeps
+    // running after a failed compile
+    function emitError(err) {
+        if (watcher.listenerCount('error')) {
+            watcher.emit('error', err);
+        }
+    }
+
+    async function buildEntries(toBuild) {
+        const startTime = Date.now();
+        const compiled = await Promise.all(
+            toBuild.map(async (entry) => {
+                const watchEntry = entry;
+
+                try {
+                    const result = await compile(entry.task);
+
+                    addTaskInfo(result, entry.task, entry.unreducedTasks);
+                    resolveCombinedSourceMap(result);
+
+                    if (options.assets) {
+                        await resolveAssets(result, entry.task, options);
+                    }
+
+                    resolveHashTokens(result);
+
+                    if (output) {
+                        await writeCompiled([result]);
+                    }
+
+                    watchEntry.dependencies = result.stats.includedFiles;
+                    watchEntry.globImports = result.stats.globImports;
+                    fsWatcher.add(
+                        watchEntry.dependencies.concat(watchEntry.globImports)
+                    );
+
+                    return result;
+                } catch (err) {
+                    // track the erroneous file so that fixing it triggers a rebuild
+                    if (err.file && !entry.dependencies.includes(err.file)) {
+                        watchEntry.dependencies = entry.dependencies.concat(
+                            err.file
+                        );
+                    }
+
+                    emitError(err);
+                }
+
+                return null;
+            })
+        );
+        const results = compiled.filter(Boolean);
 
-            if (map) {
-                writeFileSync(map, task.sourceMap);
+        if (manifest && results.length) {
+            await writeManifest(manifest, results).catch(emitError);
+        }
+
+        if (reporter && results.length) {
+            try {
+                await reportBuild(reporter, results, startTime);
+            } catch (err) {
+                emitError(err);
+            }
+        }
+
+        if (!closed && results.length) {
+            watcher.emit('build', results);
+        }
+    }
+
+    // re-resolves the sources, keeping the entries whose tasks are unchanged;
+    // returns the entries that are new or have changed.
+    async function resolveEntries() {
+        const sources = await getSources(options);
+        const changed = [];
+
+        entries = getWatchEntries(sources, options).map((entry) => {
+            const { file: entryFile, data } = entry.task;
+            const existing = entries.find(
+                ({ key, task }) =>
+                    key === entry.key &&
+                    task.file === entryFile &&
+                    task.data === data
+            );
+
+            if (existing) {
+                return existing;
             }
+
+            changed.push(entry);
+            return entry;
+        });
+
+        return changed;
+    }
+
+    function getDependents(filePath) {
+        const resolvedPath = path.resolve(filePath);
+
+        return entries.filter(({ dependencies }) =>
+            dependencies.includes(resolvedPath)
+        );
+    }
+
+    // entries whose glob imports match a file, which import it once it's added
+    function getGlobDependents(filePath) {
+        const resolvedPath = path.resolve(filePath);
+
+        return entries.filter(({ globImports }) =>
+            globImports.some((pattern) => minimatch(resolvedPath, pattern))
+        );
+    }
+
+    function enqueue(job) {
+        queue = queue.then(() => (closed ? undefined : job())).catch(emitError);
+        return queue;
+    }
+
+    function onChange(filePath) {
+        enqueue(() => buildEntries(getDependents(filePath)));
+    }
+
+    function onAddOrUnlink(filePath) {
+        enqueue(async () => {
+            const changed = await resolveEntries();
+            const dependents = getDependents(filePath)
+                .concat(getGlobDependents(filePath))
+                .filter(
+                    (entry, i, all) =>
+                        !changed.includes(entry) && all.indexOf(entry) === i
+                );
+
+            await buildEntries(changed.concat(dependents));
         });
     }
 
-    return marshalArray(compiled);
+    fsWatcher
+        .on('change', onChange)
+        .on('add', onAddOrUnlink)
+        .on('unlink', onAddOrUnlink)
+        .on('error', emitError);
+
+    Promise.all([
+        enqueue(async () => buildEntries(await resolveEntries())),
+        new Promise((resolve) => fsWatcher.once('ready', resolve))
+    ]).then(() => {
+        if (!closed) {
+            watcher.emit('ready');
+        }
+    });
+
+    watcher.close = () => {
+        closed = true;
+        return fsWatcher.close();
+    };
+
+    return watcher;
 }
 
 /**
@@ -405,5 +2930,11 @@ module.exports = {
     ...sass,
     render,
     renderSync,
+    plan,
+    graph,
+    audit,
+    watch,
+    loadConfig,
+    build,
     info
 };
@@ -1,10 +1,20 @@
 const nodeSassBaseModule = require('node-sass');
 const path = require('path');
+const crypto = require('crypto');
 const glob = require('glob');
 const fs = require('fs-extra');
 const sass = require('./index');
 
-const { render, renderSync } = sass;
+const {
+    render,
+    renderSync,
+    plan,
+    graph,
+    audit,
+    watch,
+    build,
+    loadConfig
+} = sass;
 const SOURCE_DIR = path.resolve(__dirname, 'test-files');
 const OUTPUT_DIR = path.resolve(__dirname, 'test-compiled');
 const DYNAMIC_OUTPUT_DIR = path.join(OUTPUT_DIR, 'dynamic');
@@ -80,6 +90,9 @@ const testConfig = {
     dynamicSourceMap: {
         sourceMap: (sourceFile) =>
             sourceFile.replace(OUTPUT_DIR, DYNAMIC_OUTPUT_DIR)
+    },
+    cache: {
+        cache: path.join(OUTPUT_DIR, '.cache')
     }
 };
 
@@ -122,6 +135,137 @@ describe('index.js', () => {
         });
     }
 
+    // creates a source beside a node_modules directory holding a sass package
+    function createPackageSource(contents) {
+        const sourceDir = path.join(OUTPUT_DIR, 'package-src');
+        const packageDir = path.join(sourceDir, 'node_modules/test-package');
+
+        fs.outputJsonSync(path.join(packageDir, 'package.json'), {
+            name: 'test-package',
+            sass: 'scss/main.scss'
+        });
+        fs.outputFileSync(
+            path.join(packageDir, 'scss/main.scss'),
+            '.test-package { color: green; }'
+        );
+        fs.outputFileSync(
+            path.join(packageDir, 'scss/_variables.scss'),
+            '$package-color: purple;'
+        );
+        fs.outputFileSync(path.join(sourceDir, 'app.scss'), contents);
+
+        return path.join(sourceDir, 'app.scss');
+    }
+
+    // creates a source that imports a directory of components via a glob pattern
+    function createGlobImportSource() {
+        const sourceDir = path.join(OUTPUT_DIR, 'glob-src');
+
+        ['b', 'a', 'nested/c'].forEach((name) => {
+            fs.outputFileSync(
+                path
+                    .join(sourceDir, `components/${name}.scss`)
+                    .replace(/([^/]+)$/, '_$1'),
+                `.${path.basename(name)} { color: red; }`
+            );
+        });
+        fs.outputFileSync(path.join(sourceDir, 'components/README.md'), '');
+        fs.outputFileSync(
+            path.join(sourceDir, 'main.scss'),
+            "@import 'components/**/*';"
+        );
+
+        return path.join(sourceDir, 'main.scss');
+    }
+
+    function createAssetSource() {
+        const sourceDir = path.join(OUTPUT_DIR, 'asset-src');
+
+        fs.outputFileSync(path.join(sourceDir, 'img/logo.png'), 'logo');
+        fs.outputFileSync(
+            path.join(sourceDir, 'components/_logo.scss'),
+            ".logo { background: url('../img/logo.png?v=1'); }"
+        );
+        fs.outputFileSync(
+            path.join(sourceDir, 'main.scss'),
+            "@import 'components/logo';\n.home { background: url(img/logo.png); }\n" +
+                '.remote { background: url(https://example.com/logo.png); }'
+        );
+
+        return path.join(sourceDir, 'main.scss');
+    }
+
+    function createImageSource() {
+        const sourceDir = path.join(OUTPUT_DIR, 'image-src');
+        const png = Buffer.alloc(24);
+
+        png.write('\x89PNG\r\n\x1a\n', 'binary');
+        png.writeUInt32BE(32, 16);
+        png.writeUInt32BE(16, 20);
+        fs.outputFileSync(path.join(sourceDir, 'img/icon.png'), png);
+        fs.outputFileSync(
+            path.join(sourceDir, 'img/logo.svg'),
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 120 40"></svg>'
+        );
+        fs.outputFileSync(
+            path.join(sourceDir, 'main.scss'),
+            [
+                '.icon {',
+                "  background: inline-image('img/icon.png');",
+                "  width: image-width('img/icon.png');",
+                "  height: image-height('img/icon.png');",
+                '}',
+                '.logo {',
+                "  background: asset-url('img/logo.svg');",
+                "  width: image-width('img/logo.svg');",
+                "  height: image-height('img/logo.svg');",
+                '}'
+            ].join('\n')
+        );
+
+        return { file: path.join(sourceDir, 'main.scss'), png };
+    }
+
+    // decodes the source indexes that the segments of source map mappings refer to
+    function getMappedSourceIndexes(mappings) {
+        const chars =
+            'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+        const indexes = [];
+        let sourceIndex = 0;
+
+        mappings
+            .split(/[;,]/)
+            .filter(Boolean)
+            .forEach((segment) => {
+                const values = [];
+                let value = 0;
+                let factor = 1;
+
+                segment.split('').forEach((char) => {
+                    const digit = chars.indexOf(char);
+
+                    value += (digit % 32) * factor;
+
+                    if (digit >= 32) {
+                        factor *= 32;
+                    } else {
+                        values.push(
+                            value % 2 ? -Math.floor(value / 2) : value / 2
+                        );
+                        value = 0;
+                        factor = 1;
+                    }
+                });
+
+                if (values.length >= 4) {
+                    sourceIndex += values[1];
+                    indexes.push(sourceIndex);
+                }
+            });
+
+        return indexes;
+    }
+
     function areAllCompiled(results) {
         let allHaveCSS = true;
         results.forEach(({ css }) => {
@@ -169,6 +313,18 @@ describe('index.js', () => {
         expect(typeof sass.renderSync).toEqual('function');
     });
 
+    test('has a `plan` method', () => {
+        expect(typeof sass.plan).toEqual('function');
+    });
+
+    test('has a `watch` method', () => {
+        expect(typeof sass.watch).toEqual('function');
+    });
+
+    test('has a `build` method', () => {
+        expect(typeof sass.build).toEqual('function');
+    });
+
     //
     // test `render` method
     //
@@ -185,7 +341,9 @@ describe('index.js', () => {
             const nodeSassResult = await getNodeSassResult(singleSource);
             const result = await render(singleSource);
 
-            expect(Object.keys(result)).toEqual(Object.keys(nodeSassResult));
+            expect(Object.keys(result)).toEqual(
+                expect.arrayContaining(Object.keys(nodeSassResult))
+            );
         });
 
         test('returns an array of `node-sass` results for multiple sources', async () => {
@@ -199,7 +357,7 @@ describe('index.js', () => {
                     });
 
                     expect(Object.keys(result)).toEqual(
-                        Object.keys(nodeSassResult)
+                        expect.arrayContaining(Object.keys(nodeSassResult))
                     );
                     return result;
                 })
@@ -221,13 +379,13 @@ describe('index.js', () => {
 
         test('accepts a single glob source', async () => {
             const results = await render(testConfig.globSource);
-            expect(results.length).toBe(4);
+            expect(results.length).toBe(3);
             expect(areAllCompiled(results)).toBe(true);
         });
 
         test('accepts multiple glob sources', async () => {
             const results = await render(testConfig.multiGlobSource);
-            expect(results.length).toBe(5);
+            expect(results.length).toBe(4);
             expect(areAllCompiled(results)).toBe(true);
         });
 
@@ -240,6 +398,140 @@ describe('index.js', () => {
             expect(areAllCompiled(results)).toBe(true);
         });
 
+        test('includes partials in glob sources via `partials`', async () => {
+            const results = await render({
+                ...testConfig.globSource,
+                partials: true
+            });
+            expect(results.length).toBe(4);
+        });
+
+        test('leaves out partials matched by a "./" pattern', async () => {
+            const results = await render({
+                file: `./${path.relative(process.cwd(), SOURCE_DIR)}/*.scss`,
+                resultsAs: 'array'
+            });
+
+            expect(results.length).toBe(1);
+            expect(results[0].stats.entry).toContain('test-scss-1.scss');
+        });
+
+        test('accepts an explicitly named partial', async () => {
+            const results = await render({
+                file: path.join(SOURCE_DIR, '_test-partial.scss')
+            });
+            expect(results.css).toBeDefined();
+        });
+
+        test('merges partials with the glob config', async () => {
+            const results = await render({
+                ...testConfig.globSource,
+                globOptions: { ignore: '**/nested/**' }
+            });
+            expect(results.stats.entry).toContain('test-scss-1.scss');
+        });
+
+        test('accepts named virtual sources as `data`', async () => {
+            const { multiOutput } = testConfig;
+            const results = await render({
+                data: {
+                    [path.join(
+                        SOURCE_DIR,
+                        'themes/dark.scss'
+                    )]: "@import '../test-partial'; .dark { color: $color; }",
+                    [path.join(
+                        SOURCE_DIR,
+                        'themes/light.scss'
+                    )]: '.light { color: white; }'
+                },
+                ...multiOutput,
+                sourceMap: true
+            });
+            const map = JSON.parse(results[0].map.toString());
+
+            expect(results[0].file).toEqual(
+                path.join(SOURCE_DIR, 'themes/dark.scss')
+            );
+            expect(results[0].outFile).toEqual(
+                path.join(OUTPUT_DIR, 'dark.css')
+            );
+            expect(results[0].css.toString()).toContain('color: red');
+            expect(map.sources[0]).toContain('themes/dark.scss');
+            expect(fs.pathExistsSync(path.join(OUTPUT_DIR, 'light.css'))).toBe(
+                true
+            );
+        });
+
+        test('accepts both file and data sources', async () => {
+            const { singleSource, multiOutput } = testConfig;
+            const results = await render({
+                ...singleSource,
+                data: { 'theme.scss': '.theme { color: black; }' },
+                ...multiOutput
+            });
+
+            expect(results.map(({ file }) => file)).toEqual([
+                singleSource.file,
+                'theme.scss'
+            ]);
+            expect(
+                fs.readFileSync(path.join(OUTPUT_DIR, 'theme.css'), 'utf8')
+            ).toContain('.theme');
+        });
+
+        test('combines file and data sources that share an output', async () => {
+            const { singleSource, dataSource, singleOutFile } = testConfig;
+            const result = await render({
+                ...singleSource,
+                ...dataSource,
+                ...singleOutFile,
+                sourceMap: true
+            });
+            const css = result.css.toString();
+            const map = JSON.parse(result.map.toString());
+
+            expect(result.file).toEqual(singleSource.file);
+            expect(result.data).toEqual(dataSource.data);
+            expect(css.indexOf('test-scss-1_scss')).toBeLessThan(
+                css.indexOf('body')
+            );
+            expect(map.sources).toEqual(
+                expect.arrayContaining([
+                    '../stdin',
+                    '../test-files/test-scss-1.scss'
+                ])
+            );
+        });
+
+        test('excludes files via negated glob sources', async () => {
+            const results = await render({
+                file: [
+                    `!${path.join(SOURCE_DIR, 'nested/deeper/**')}`,
+                    path.join(SOURCE_DIR, '**/*.scss')
+                ],
+                resultsAs: 'array'
+            });
+
+            expect(results.map(({ file }) => path.basename(file))).toEqual([
+                'test-scss-2.scss',
+                'test-scss-1.scss'
+            ]);
+        });
+
+        test('removes duplicate files from overlapping sources', async () => {
+            const { multiSource, globSource, singleOutFile } = testConfig;
+            const results = await render({
+                file: [multiSource.file[1], globSource.file],
+                ...singleOutFile
+            });
+
+            expect(results.file).toEqual([
+                multiSource.file[1],
+                multiSource.file[2],
+                multiSource.file[0]
+            ]);
+        });
+
         test('accepts a single Scss/Sass string source', async () => {
             const results = await render(testConfig.dataSource);
             const css = results.css.toString();
@@ -276,6 +568,123 @@ describe('index.js', () => {
             expect(fs.pathExistsSync(singleOutput.output)).toBe(true);
         });
 
+        test('mirrors the directory structure of glob sources in an output directory', async () => {
+            const { globSource, multiOutput } = testConfig;
+            await render({ ...globSource, ...multiOutput });
+
+            expect(
+                fs.pathExistsSync(
+                    path.join(OUTPUT_DIR, 'nested/deeper/test-scss-3.css')
+                )
+            ).toBe(true);
+        });
+
+        test('mirrors the directory structure relative to `base`', async () => {
+            const { globSource, multiOutput } = testConfig;
+            await render({
+                ...globSource,
+                ...multiOutput,
+                base: path.join(SOURCE_DIR, 'nested')
+            });
+
+            expect(
+                fs.pathExistsSync(
+                    path.join(OUTPUT_DIR, 'deeper/test-scss-3.css')
+                )
+            ).toBe(true);
+            expect(
+                fs.pathExistsSync(path.join(OUTPUT_DIR, 'test-scss-1.css'))
+            ).toBe(true);
+        });
+
+        test('mirrors the directory structure in a source map directory', async () => {
+            const { globSource, multiOutput } = testConfig;
+            await render({
+                ...globSource,
+                ...multiOutput,
+                sourceMap: path.join(OUTPUT_DIR, 'maps')
+            });
+
+            expect(
+                fs.pathExistsSync(
+                    path.join(OUTPUT_DIR, 'maps/nested/test-scss-2.css.map')
+                )
+            ).toBe(true);
+        });
+
+        test('resolves `[dir]`, `[name]` and `[ext]` tokens in an output template', async () => {
+            await render({
+                ...testConfig.globSource,
+                output: path.join(OUTPUT_DIR, '[dir]/[name].min.[ext]')
+            });
+
+            expect(
+                fs.pathExistsSync(
+                    path.join(OUTPUT_DIR, 'nested/deeper/test-scss-3.min.css')
+                )
+            ).toBe(true);
+        });
+
+        test('resolves `[hash]` tokens in output and source map templates', async () => {
+            const result = await render({
+                ...testConfig.singleSource,
+                output: path.join(OUTPUT_DIR, '[name].[hash:8].css'),
+                sourceMap: path.join(OUTPUT_DIR, 'maps/[name].[hash].css.map')
+            });
+            const [, hash] = result.outFile.match(/test-scss-1\.(\w+)\.css$/);
+            const map = JSON.parse(result.map.toString());
+
+            expect(hash.length).toBe(8);
+            expect(result.sourceMap).toContain(`test-scss-1.${hash}`);
+            expect(result.css.toString()).toContain(`maps/test-scss-1.${hash}`);
+            expect(map.file).toBe(`../test-scss-1.${hash}.css`);
+            expect(fs.pathExistsSync(result.outFile)).toBe(true);
+            expect(fs.pathExistsSync(result.sourceMap)).toBe(true);
+        });
+
+        test('mirrors the template directories of hashed outputs in a source map directory', async () => {
+            ['a', 'b'].forEach((dir) => {
+                fs.outputFileSync(
+                    path.join(OUTPUT_DIR, `same/${dir}/x.scss`),
+                    '.x { color: red; }'
+                );
+            });
+
+            const results = await render({
+                file: path.join(OUTPUT_DIR, 'same/**/*.scss'),
+                output: path.join(OUTPUT_DIR, 'dist/[dir]/[name].[hash:8].css'),
+                sourceMap: path.join(OUTPUT_DIR, 'maps'),
+                resultsAs: 'array'
+            });
+
+            results.forEach(({ outFile, sourceMap }, index) => {
+                const dir = ['a', 'b'][index];
+
+                expect(sourceMap).toBe(
+                    path.join(
+                        OUTPUT_DIR,
+                        `maps/${dir}/${path.basename(outFile)}.map`
+                    )
+                );
+                expect(fs.pathExistsSync(sourceMap)).toBe(true);
+            });
+        });
+
+        test('throws an error on a `data` output template with a `[name]` token', async () => {
+            let message = '';
+
+            try {
+                await render({
+                    ...testConfig.dataSource,
+                    outFile: path.join(OUTPUT_DIR, '[name].css')
+                });
+            } catch (err) {
+                message = err.message;
+            } finally {
+                expect(message).toContain('Invalid');
+            }
+        });
+
         test('allows dynamic output via a function', async () => {
             const { multiSource, dynamicOutput } = testConfig;
             await render({ ...multiSource, ...dynamicOutput });
@@ -408,20 +817,43 @@ describe('index.js', () => {
             expect(fs.pathExistsSync(singleSourceMap.sourceMap)).toBe(true);
         });
 
-        test('throws an error if `sourceMap` is provided without `outFile` or `output`', async () => {
-            const { singleSource } = testConfig;
-            let message = '';
+        test('generates a source map in memory without `outFile` or `output`', async () => {
+            const { singleSource, sourceMap } = testConfig;
+            const result = await render({ ...singleSource, ...sourceMap });
+            const map = JSON.parse(result.map.toString());
 
-            try {
-                await render({
-                    ...singleSource,
-                    sourceMap: true
-                });
-            } catch (err) {
-                message = err.message;
-            } finally {
-                expect(message).toContain('is required');
-            }
+            expect(map.sources).toContain('test-scss-1.scss');
+            expect(result.sourceMap).toBeUndefined();
+        });
+
+        test('embeds an inline source map via `sourceMap: "inline"`', async () => {
+            const { singleSource, singleOutput } = testConfig;
+            const result = await render({
+                ...singleSource,
+                ...singleOutput,
+                sourceMap: 'inline',
+                sourceMapContents: true
+            });
+            const [, encodedMap] = fs
+                .readFileSync(singleOutput.output, 'utf8')
+                .match(/sourceMappingURL=data:application\/json;base64,(\S+)/);
+            const map = JSON.parse(Buffer.from(encodedMap, 'base64'));
+
+            expect(map.sourcesContent.length).toBe(map.sources.length);
+            expect(result.sourceMap).toBeUndefined();
+            expect(fs.readdirSync(OUTPUT_DIR)).toEqual(['test.css']);
+        });
+
+        test('re-encodes an inline source map with a hashed output', async () => {
+            const result = await render({
+                ...testConfig.singleSource,
+                output: path.join(OUTPUT_DIR, '[name].[hash:6].css'),
+                sourceMap: 'inline'
+            });
+            const [, encodedMap] = result.css.toString().match(/base64,(\S+)/);
+            const map = JSON.parse(Buffer.from(encodedMap, 'base64'));
+
+            expect(map.file).toEqual(path.basename(result.outFile));
         });
 
         test('throws an error `sourceMap` is not a valid file path', async () => {
@@ -479,179 +911,528 @@ describe('index.js', () => {
             expect(css.indexOf('test-scss-2')).toBeGreaterThan(-1);
             expect(css.indexOf('test-scss-3')).toBeGreaterThan(-1);
         });
-    });
-
-    //
-    // test `renderSync` method
-    //
-    describe('sass.renderSync()', () => {
-        test('returns an array or object', () => {
-            const results = renderSync(testConfig.singleSource);
-            const isArrayOrObject =
-                Array.isArray(results) || typeof results === 'object';
 
-            expect(isArrayOrObject).toBe(true);
+        test('maps the real sources of a concatenated output', async () => {
+            const { multiSource, singleOutput } = testConfig;
+            const result = await render({
+                ...multiSource,
+                ...singleOutput,
+                sourceMap: path.join(OUTPUT_DIR, 'maps/test.css.map'),
+                sourceMapRoot: '/styles'
+            });
+            const map = fs.readJsonSync(result.sourceMap);
+            const mapDir = path.dirname(result.sourceMap);
+
+            expect(map.sourceRoot).toEqual('/styles');
+            expect(map.sources).toEqual(
+                expect.arrayContaining(
+                    multiSource.file.map((file) =>
+                        path.relative(mapDir, file).split(path.sep).join('/')
+                    )
+                )
+            );
+            expect(map.sources.some((source) => /stdin$/.test(source))).toBe(
+                false
+            );
         });
 
-        test('returns a `node-sass` results object for a single source', () => {
-            const { singleSource } = testConfig;
-            const nodeSassResult = getNodeSassResult(singleSource, true);
-            const result = renderSync(singleSource);
-
-            expect(Object.keys(result)).toEqual(Object.keys(nodeSassResult));
+        test('drops the mappings of plain css imports of a concatenated output', async () => {
+            const result = await render({
+                file: [
+                    path.join(SOURCE_DIR, 'test-scss-1.scss'),
+                    path.join(SOURCE_DIR, 'test-scss-1.css')
+                ],
+                outFile: path.join(OUTPUT_DIR, 'test.css'),
+                sourceMap: true
+            });
+            const map = JSON.parse(result.map.toString());
+            const indexes = getMappedSourceIndexes(map.mappings);
+
+            expect(indexes.length).toBeGreaterThan(0);
+            expect(
+                indexes.every(
+                    (index) => index >= 0 && index < map.sources.length
+                )
+            ).toBe(true);
         });
 
-        test('returns an array of `node-sass` results for multiple sources', () => {
-            const { multiSource } = testConfig;
-            const results = renderSync(multiSource);
+        test('attaches task metadata to each result', async () => {
+            const { multiSource, multiOutput } = testConfig;
+            const results = await render({
+                ...multiSource,
+                ...multiOutput,
+                sourceMap: true
+            });
 
-            results.map((result) => {
-                const nodeSassResult = getNodeSassResult(
-                    {
-                        file: result.stats.entry
-                    },
-                    true
-                );
+            expect(results[0].file).toBe(multiSource.file[0]);
+            expect(results[0].outFile).toBe(
+                path.join(OUTPUT_DIR, 'test-scss-1.css')
+            );
+            expect(results[0].sourceMap).toBe(
+                path.join(OUTPUT_DIR, 'test-scss-1.css.map')
+            );
+            expect(results[0].written).toBe(true);
+        });
 
-                expect(Object.keys(result)).toEqual(
-                    Object.keys(nodeSassResult)
-                );
+        test('reports the build to a `reporter` function', async () => {
+            const { multiSource, multiOutput } = testConfig;
+            let report;
 
-                return result;
+            const results = await render({
+                ...multiSource,
+                ...multiOutput,
+                sourceMap: true,
+                reporter: (buildReport) => {
+                    report = buildReport;
+                }
             });
+            const [output] = report.outputs;
+
+            expect(report.outputs.length).toBe(results.length);
+            expect(output.outFile).toBe(results[0].outFile);
+            expect(output.duration).toBe(results[0].stats.duration);
+            expect(output.includedFiles).toBe(
+                results[0].stats.includedFiles.length
+            );
+            expect(output.size).toBe(results[0].css.length);
+            expect(output.gzipSize).toBeGreaterThan(0);
+            expect(output.mapSize).toBe(results[0].map.length);
+            expect(report.total.outputs).toBe(results.length);
+            expect(report.total.size).toBe(
+                results.reduce((total, { css }) => total + css.length, 0)
+            );
         });
 
-        test('accepts a single file source', () => {
-            const results = renderSync(testConfig.singleSource);
-            const css = results.css.toString();
+        test('prints a summary or JSON with `reporter`', async () => {
+            const { singleSource, singleOutput } = testConfig;
+            const printed = [];
+            const write = jest
+                .spyOn(process.stdout, 'write')
+                .mockImplementation((chunk) => printed.push(chunk));
 
-            expect(css.indexOf('test-scss-1_scss')).toBeGreaterThan(-1);
-        });
+            try {
+                await render({
+                    ...singleSource,
+                    ...singleOutput,
+                    reporter: 'summary'
+                });
+                await render({ ...singleSource, reporter: 'json' });
+            } finally {
+                write.mockRestore();
+            }
 
-        test('accepts multiple file sources', () => {
-            const results = renderSync(testConfig.multiSource);
-            expect(results.length).toBe(3);
-            expect(areAllCompiled(results)).toBe(true);
-        });
+            const [summary, json] = printed;
 
-        test('accepts a single glob source', () => {
-            const results = renderSync(testConfig.globSource);
-            expect(results.length).toBe(4);
-            expect(areAllCompiled(results)).toBe(true);
+            expect(summary).toMatch(/Total: 1 output\(s\)/);
+            expect(JSON.parse(json).total.outputs).toBe(1);
         });
 
-        test('accepts multiple glob sources', () => {
-            const results = renderSync(testConfig.multiGlobSource);
-            expect(results.length).toBe(5);
-            expect(areAllCompiled(results)).toBe(true);
-        });
+        test('throws an error if `reporter` is invalid', async () => {
+            let message = '';
 
-        test('exclude files via glob config', () => {
-            const results = renderSync({
-                ...testConfig.globSource,
-                globOptions: { ignore: '**/_*' }
-            });
-            expect(results.length).toBe(3);
-            expect(areAllCompiled(results)).toBe(true);
+            try {
+                await render({ ...testConfig.singleSource, reporter: 'table' });
+            } catch (err) {
+                message = err.message;
+            } finally {
+                expect(message).toContain('Invalid reporter');
+            }
         });
 
-        test('accepts a single Scss/Sass string source', () => {
-            const results = renderSync(testConfig.dataSource);
-            const css = results.css.toString();
+        test('skips writing outputs that are unchanged', async () => {
+            const { singleSource, singleOutput, singleSourceMap } = testConfig;
+            const options = {
+                ...singleSource,
+                ...singleOutput,
+                ...singleSourceMap
+            };
 
-            expect(css.indexOf('color: red')).toBeGreaterThan(-1);
-        });
+            await render(options);
+            const { mtimeMs } = fs.statSync(singleOutput.output);
+            const result = await render(options);
 
-        test('accepts multiple Scss/Sass string sources', () => {
-            const results = renderSync(testConfig.multiDataSource);
-            expect(results.length).toBe(2);
-            expect(areAllCompiled(results)).toBe(true);
+            expect(result.written).toBe(false);
+            expect(result.unchanged).toBe(true);
+            expect(fs.statSync(singleOutput.output).mtimeMs).toBe(mtimeMs);
         });
 
-        test('writes a single CSS file to disk', () => {
+        test('writes outputs via a temporary file', async () => {
             const { singleSource, singleOutput } = testConfig;
-            renderSync({ ...singleSource, ...singleOutput });
 
-            expect(fs.pathExistsSync(singleOutput.output)).toBe(true);
+            fs.outputFileSync(singleOutput.output, 'stale');
+            const result = await render({ ...singleSource, ...singleOutput });
+
+            expect(result.written).toBe(true);
+            expect(fs.readFileSync(singleOutput.output, 'utf8')).toEqual(
+                result.css.toString()
+            );
+            expect(fs.readdirSync(OUTPUT_DIR)).toEqual(['test.css']);
         });
 
-        test('writes multiple CSS files to disk', () => {
-            const { multiSource, multiOutput } = testConfig;
-            renderSync({ ...multiSource, ...multiOutput });
-
-            const renderedFiles = getOutputCSSFiles(true);
+        test('attaches the combined sources to a result', async () => {
+            const { multiDataSource, singleOutFile } = testConfig;
+            const results = await render({
+                ...multiDataSource,
+                ...singleOutFile
+            });
 
-            expect(renderedFiles.length).toEqual(3);
+            expect(results.data).toEqual(multiDataSource.data);
+            expect(results.written).toBe(false);
         });
 
-        test('writes a single Scss/Sass string to disk', () => {
-            const { dataSource, singleOutput } = testConfig;
-            renderSync({ ...dataSource, ...singleOutput });
+        test('always returns an array via `resultsAs`', async () => {
+            const results = await render({
+                ...testConfig.singleSource,
+                resultsAs: 'array'
+            });
 
-            expect(fs.pathExistsSync(singleOutput.output)).toBe(true);
+            expect(results.length).toBe(1);
         });
 
-        test('allows dynamic output via a function', () => {
-            const { multiSource, dynamicOutput } = testConfig;
-            renderSync({ ...multiSource, ...dynamicOutput });
-
-            const renderedFiles = getOutputCSSFiles(true);
-
-            let areAllDynamic = true;
-            renderedFiles.forEach((renderedFile) => {
-                if (/dynamic/.test(renderedFile) === false) {
-                    areAllDynamic = false;
-                }
+        test('returns results mapped by output file via `resultsAs`', async () => {
+            const { multiSource, multiOutFile } = testConfig;
+            const results = await render({
+                ...multiSource,
+                ...multiOutFile,
+                resultsAs: 'map'
             });
 
-            expect(areAllDynamic).toBe(true);
+            expect(Object.keys(results)).toEqual([
+                path.join(OUTPUT_DIR, 'test-scss-1.css'),
+                path.join(OUTPUT_DIR, 'test-scss-2.css'),
+                path.join(OUTPUT_DIR, 'test-scss-3.css')
+            ]);
         });
 
-        test('allows dynamic output to directory via a function', () => {
-            const { multiSource, dynamicOutputDir } = testConfig;
-            renderSync({ ...multiSource, ...dynamicOutputDir });
+        test('attempts every source with `bail` disabled', async () => {
+            const { singleSource, multiOutput } = testConfig;
+            const brokenFile = path.join(OUTPUT_DIR, 'broken.scss');
+            let error;
 
-            const renderedFiles = getOutputCSSFiles(true);
+            fs.writeFileSync(brokenFile, '.broken {');
 
-            let areAllDynamic = true;
-            renderedFiles.forEach((renderedFile) => {
-                if (/dynamic/.test(renderedFile) === false) {
-                    areAllDynamic = false;
-                }
+            try {
+                await render({
+                    file: [singleSource.file, brokenFile],
+                    ...multiOutput,
+                    bail: false
+                });
+            } catch (err) {
+                error = err;
+            }
+
+            const [compiled, failed] = error.outcomes;
+
+            expect(error.message).toContain('1 of 2');
+            expect(compiled.result.css).toBeDefined();
+            expect(failed.source).toBe(brokenFile);
+            expect(failed.outFile).toBe(path.join(OUTPUT_DIR, 'broken.css'));
+            expect(failed.error.line).toBe(1);
+            expect(
+                fs.pathExistsSync(path.join(OUTPUT_DIR, 'test-scss-1.css'))
+            ).toBe(true);
+        });
+
+        test('resolves all results with `bail` disabled', async () => {
+            const results = await render({
+                ...testConfig.multiSource,
+                bail: false
             });
 
-            expect(areAllDynamic).toBe(true);
+            expect(results.length).toBe(3);
         });
 
-        test('throws an error if invalid props are provided', async () => {
-            let message = '';
+        test('attempts every source in worker processes with `bail` disabled', async () => {
+            const brokenFile = path.join(OUTPUT_DIR, 'broken.scss');
+            let error;
+
+            fs.writeFileSync(brokenFile, '.broken {');
 
             try {
-                renderSync('foo');
+                await render({
+                    file: [brokenFile, testConfig.singleSource.file],
+                    bail: false,
+                    workers: 1
+                });
             } catch (err) {
-                message = err.message;
-            } finally {
-                expect(message).toContain('Invalid');
+                error = err;
             }
+
+            expect(error.outcomes[0].error.line).toBe(1);
+            expect(error.outcomes[1].result.css).toBeDefined();
         });
 
-        test('throws an error if required props are not provided', () => {
+        test('serves unchanged sources from the cache', async () => {
+            const { multiSource, cache } = testConfig;
+            const firstResults = await render({ ...multiSource, ...cache });
+            const results = await render({ ...multiSource, ...cache });
+
+            expect(firstResults.every(({ cached }) => !cached)).toBe(true);
+            expect(results.every(({ cached }) => cached)).toBe(true);
+            expect(results[0].css.toString()).toEqual(
+                firstResults[0].css.toString()
+            );
+        });
+
+        test('recompiles cached sources when an included file changes', async () => {
+            const { cache } = testConfig;
+            const sourceDir = path.join(OUTPUT_DIR, 'cache-src');
+            const options = {
+                file: path.join(sourceDir, '**/*.scss'),
+                ...cache
+            };
+
+            fs.copySync(SOURCE_DIR, sourceDir);
+            await render(options);
+            fs.writeFileSync(
+                path.join(sourceDir, '_test-partial.scss'),
+                '$color: blue;'
+            );
+
+            const results = await render(options);
+            const recompiled = results.filter(({ cached }) => !cached);
+
+            expect(recompiled.length).toBe(1);
+            expect(
+                results
+                    .find(({ stats }) => /1\.scss$/.test(stats.entry))
+                    .css.toString()
+            ).toContain('blue');
+        });
+
+        test('recompiles cached sources when the options change', async () => {
+            const { singleSource, cache } = testConfig;
+            await render({ ...singleSource, ...cache });
+
+            const results = await render({
+                ...singleSource,
+                ...cache,
+                outputStyle: 'compressed'
+            });
+
+            expect(results.cached).toBe(false);
+        });
+
+        test('leaves results with unreadable included files out of the cache', async () => {
+            const { cache } = testConfig;
+            const options = {
+                data: "@import 'virtual';",
+                importer: () => ({
+                    file: '/virtual.scss',
+                    contents: '.virtual { color: red; }'
+                }),
+                ...cache
+            };
+
+            await render(options);
+
+            const results = await render(options);
+
+            expect(results.cached).toBe(false);
+            expect(results.css.toString()).toContain('.virtual');
+        });
+
+        test('treats malformed cache entries as a miss', async () => {
+            const { singleSource, cache } = testConfig;
+            const first = await render({ ...singleSource, ...cache });
+            const manifestPath = path.join(cache.cache, 'manifest.json');
+            const manifest = fs.readJsonSync(manifestPath);
+
+            Object.keys(manifest).forEach((key) => {
+                manifest[key].files = null;
+            });
+            fs.writeJsonSync(manifestPath, manifest);
+
+            const results = await render({ ...singleSource, ...cache });
+
+            expect(first.cached).toBe(false);
+            expect(results.cached).toBe(false);
+        });
+
+        test('recompiles cached sources when a glob import matches a new file', async () => {
+            const { cache } = testConfig;
+            const file = createGlobImportSource();
+
+            await render({ file, ...cache });
+            fs.outputFileSync(
+                path.join(path.dirname(file), 'components/_z.scss'),
+                '.z { color: red; }'
+            );
+
+            const results = await render({ file, ...cache });
+
+            expect(results.cached).toBe(false);
+            expect(results.css.toString()).toContain('.z');
+        });
+
+        test('leaves files of its own in the cache directory', async () => {
+            const { singleSource, cache } = testConfig;
+            const ownFile = path.join(cache.cache, 'important.txt');
+
+            fs.outputFileSync(ownFile, 'keep');
+            await render({ ...singleSource, ...cache });
+            await render({
+                ...singleSource,
+                ...cache,
+                outputStyle: 'compressed'
+            });
+
+            expect(fs.readFileSync(ownFile, 'utf8')).toBe('keep');
+        });
+
+        test('returns the build plan without compiling via `dryRun`', async () => {
+            const { multiSource, multiOutput } = testConfig;
+            const results = await render({
+                ...multiSource,
+                ...multiOutput,
+                sourceMap: true,
+                outputStyle: 'compressed',
+                dryRun: true
+            });
+
+            expect(results.length).toBe(3);
+            expect(results[1]).toEqual({
+                source: multiSource.file[1],
+                outFile: path.join(OUTPUT_DIR, 'test-scss-2.css'),
+                sourceMap: path.join(OUTPUT_DIR, 'test-scss-2.css.map'),
+                options: expect.objectContaining({
+                    file: multiSource.file[1],
+                    outputStyle: 'compressed'
+                })
+            });
+            expect(
+                fs.pathExistsSync(path.join(OUTPUT_DIR, 'test-scss-2.css'))
+            ).toBe(false);
+        });
+
+        test('writes an asset manifest via `manifest`', async () => {
+            const { singleSource } = testConfig;
+            const manifestPath = path.join(OUTPUT_DIR, 'manifest.json');
+
+            fs.outputJsonSync(manifestPath, { 'other.scss': {} });
+            const result = await render({
+                ...singleSource,
+                output: path.join(OUTPUT_DIR, '[name].[hash:6].css'),
+                manifest: manifestPath
+            });
+            const manifest = fs.readJsonSync(manifestPath);
+            const entry =
+                manifest[path.relative(process.cwd(), singleSource.file)];
+
+            expect(manifest['other.scss']).toEqual({});
+            expect(entry.output).toEqual(
+                path.relative(process.cwd(), result.outFile)
+            );
+            expect(entry.size).toBe(result.css.length);
+            expect(result.outFile).toContain(entry.hash.slice(0, 6));
+        });
+
+        test('throws an error if `manifest` is given without `output`', async () => {
             let message = '';
 
             try {
-                renderSync({});
+                await render({
+                    ...testConfig.singleSource,
+                    manifest: path.join(OUTPUT_DIR, 'manifest.json')
+                });
             } catch (err) {
                 message = err.message;
             } finally {
-                expect(message).toContain('is required');
+                expect(message).toContain('No output specified');
             }
         });
 
-        test('throws an error if an unknown source is provided', async () => {
+        test('returns results in order with limited `concurrency`', async () => {
+            const { multiSource } = testConfig;
+            const results = await render({ ...multiSource, concurrency: 1 });
+
+            expect(results.map(({ stats }) => stats.entry)).toEqual(
+                multiSource.file
+            );
+        });
+
+        test('compiles in worker processes via `workers`', async () => {
+            const { multiSource } = testConfig;
+            const results = await render({ ...multiSource, workers: 2 });
+
+            expect(results.map(({ stats }) => stats.entry)).toEqual(
+                multiSource.file
+            );
+            expect(Buffer.isBuffer(results[0].css)).toBe(true);
+            expect(areAllCompiled(results)).toBe(true);
+        });
+
+        test('resolves package imports from node_modules via `nodeModules`', async () => {
+            const file = createPackageSource(
+                "@import '~test-package'; @import 'test-package/scss/variables'; .app { color: $package-color; }"
+            );
+            const result = await render({ file, nodeModules: true });
+            const css = result.css.toString();
+
+            expect(css).toContain('.test-package');
+            expect(css).toContain('color: purple');
+        });
+
+        test('runs the package importer after a given `importer`', async () => {
+            const file = createPackageSource(
+                "@import 'virtual'; @import '~test-package';"
+            );
+            const result = await render({
+                file,
+                nodeModules: true,
+                importer: path.join(SOURCE_DIR, 'test-importer.js'),
+                workers: 1
+            });
+            const css = result.css.toString();
+
+            expect(css).toContain('.virtual');
+            expect(css).toContain('.test-package');
+        });
+
+        test('expands glob imports in sorted order', async () => {
+            const file = createGlobImportSource();
+            const result = await render({ file });
+            const css = result.css.toString();
+            const componentsDir = path.join(path.dirname(file), 'components');
+
+            expect(css.indexOf('.a')).toBeLessThan(css.indexOf('.b'));
+            expect(css.indexOf('.b')).toBeLessThan(css.indexOf('.c'));
+            expect(result.stats.includedFiles.sort()).toEqual([
+                path.join(componentsDir, '_a.scss'),
+                path.join(componentsDir, '_b.scss'),
+                path.join(componentsDir, 'nested/_c.scss'),
+                file
+            ]);
+        });
+
+        test('expands glob imports in worker processes', async () => {
+            const file = createGlobImportSource();
+            const result = await render({
+                file,
+                globOptions: { ignore: '**/nested/**' },
+                workers: 1
+            });
+            const css = result.css.toString();
+
+            expect(css).toContain('.a');
+            expect(css).not.toContain('.c');
+        });
+
+        test('requires an `importer` module path in worker processes', async () => {
+            const results = await render({
+                data: "@import 'virtual';",
+                importer: path.join(SOURCE_DIR, 'test-importer.js'),
+                workers: 1
+            });
+
+            expect(results.css.toString()).toContain('.virtual');
+        });
+
+        test('throws an error from a worker process', async () => {
             let message = '';
 
             try {
-                await renderSync(testConfig.unknownSource);
+                await render({ ...testConfig.unknownSource, workers: 1 });
             } catch (err) {
                 message = err.message;
             } finally {
@@ -659,109 +1440,1276 @@ describe('index.js', () => {
             }
         });
 
-        test('throws an error on a `data` when `outFile` is a directory', () => {
-            const { dataSource } = testConfig;
+        test('rebases relative urls onto the output file with `assets`', async () => {
+            const file = createAssetSource();
+            const outFile = path.join(OUTPUT_DIR, 'asset-out/css/main.css');
+            const result = await render({
+                file,
+                output: outFile,
+                assets: true
+            });
+            const css = fs.readFileSync(outFile, 'utf8');
+
+            expect(css).toContain('url("../../asset-src/img/logo.png?v=1")');
+            expect(css).toContain('url(../../asset-src/img/logo.png)');
+            expect(css).toContain('url(https://example.com/logo.png)');
+            expect(css).not.toContain('sourceMappingURL');
+            expect(result.map).toBeUndefined();
+            expect(result.assets).toEqual([]);
+        });
+
+        test('keeps the source map in step with rebased urls', async () => {
+            const file = createAssetSource();
+            const outFile = path.join(OUTPUT_DIR, 'asset-out/css/main.css');
+            const result = await render({
+                file,
+                output: outFile,
+                sourceMap: true,
+                assets: true
+            });
+            const map = JSON.parse(result.map.toString());
+
+            expect(map.sources).toEqual([
+                '../../asset-src/main.scss',
+                '../../asset-src/components/_logo.scss'
+            ]);
+            expect(fs.existsSync(result.sourceMap)).toBe(true);
+        });
+
+        test('copies assets with hashed names to an `assets` directory', async () => {
+            const file = createAssetSource();
+            const outDir = path.join(OUTPUT_DIR, 'asset-out');
+            const result = await render({
+                file,
+                output: path.join(outDir, 'css'),
+                assets: path.join(outDir, 'assets')
+            });
+            const assetFile = path.join(
+                outDir,
+                `assets/logo.${crypto
+                    .createHash('md5')
+                    .update('logo')
+                    .digest('hex')
+                    .slice(0, 8)}.png`
+            );
+            const css = result.css.toString();
+
+            expect(result.assets).toEqual([
+                {
+                    source: path.join(path.dirname(file), 'img/logo.png'),
+                    file: assetFile
+                }
+            ]);
+            expect(fs.readFileSync(assetFile, 'utf8')).toBe('logo');
+            expect(css).toContain(
+                `url("../assets/${path.basename(assetFile)}?v=1")`
+            );
+            expect(css).toContain(`url(../assets/${path.basename(assetFile)})`);
+        });
+
+        test('throws an error if `assets` has no output', async () => {
             let message = '';
 
             try {
-                renderSync({
-                    data: dataSource,
-                    outFile: 'dir'
-                });
+                await render({ ...testConfig.singleSource, assets: true });
             } catch (err) {
                 message = err.message;
             } finally {
-                expect(message).toContain('Invalid');
+                expect(message).toContain('No output specified');
             }
         });
 
-        test('generate source map', () => {
-            const { singleSource, singleOutFile, sourceMap } = testConfig;
-
-            const results = renderSync({
-                ...singleSource,
-                ...singleOutFile,
-                ...sourceMap
+        test('adds the built-in asset functions with `assetFunctions`', async () => {
+            const { file, png } = createImageSource();
+            const result = await render({
+                file,
+                assetFunctions: { baseUrl: 'https://cdn.example.com/' }
             });
+            const css = result.css.toString();
 
-            expect(results.map).toBeDefined();
+            expect(css).toContain(
+                `url("data:image/png;base64,${png.toString('base64')}")`
+            );
+            expect(css).toContain('width: 32px');
+            expect(css).toContain('height: 16px');
+            expect(css).toContain(
+                'url("https://cdn.example.com/img/logo.svg")'
+            );
+            expect(css).toContain('width: 120px');
+            expect(css).toContain('height: 40px');
         });
 
-        test('generate single source map', () => {
-            const { singleSource, singleOutFile, singleSourceMap } = testConfig;
-
-            const results = renderSync({
-                ...singleSource,
-                ...singleOutFile,
-                ...singleSourceMap
+        test('merges the built-in asset functions with `functions`', async () => {
+            const result = await render({
+                data:
+                    ".a { background: asset-url('a.png'); width: image-width('a.png'); }",
+                assetFunctions: true,
+                functions: {
+                    'image-width($path)': () =>
+                        new nodeSassBaseModule.types.Number(1, 'px')
+                }
             });
+            const css = result.css.toString();
 
-            expect(results.map).toBeDefined();
+            expect(css).toContain('url("a.png")');
+            expect(css).toContain('width: 1px');
         });
 
-        test('generate single source map from dynamic prop', () => {
-            const { multiSource, singleOutFile, dynamicSourceMap } = testConfig;
-
-            const results = renderSync({
-                ...multiSource,
-                ...singleOutFile,
-                ...dynamicSourceMap
+        test('adds the built-in asset functions in worker processes', async () => {
+            const { file } = createImageSource();
+            const result = await render({
+                file,
+                assetFunctions: true,
+                workers: 1
             });
 
-            expect(results.map).toBeDefined();
+            expect(result.css.toString()).toContain('width: 32px');
         });
 
-        test('writes source map to disk', () => {
-            const { singleSource, singleOutput, singleSourceMap } = testConfig;
-
-            renderSync({
-                ...singleSource,
-                ...singleOutput,
-                ...singleSourceMap
-            });
+        test('throws an error for an unreadable image', async () => {
+            let message = '';
 
-            expect(fs.pathExistsSync(singleSourceMap.sourceMap)).toBe(true);
+            try {
+                await render({
+                    data: ".a { width: image-width('missing.png'); }",
+                    assetFunctions: true
+                });
+            } catch (err) {
+                message = err.message;
+            } finally {
+                expect(message).toContain('missing.png');
+            }
         });
 
-        test('throws an error if `sourceMap` is provided without `outFile` or `output`', () => {
-            const { singleSource } = testConfig;
+        test('throws an error if `importer` is a function with `workers`', async () => {
             let message = '';
 
             try {
-                renderSync({
-                    ...singleSource,
-                    sourceMap: true
+                await render({
+                    ...testConfig.singleSource,
+                    importer: () => null,
+                    workers: true
                 });
             } catch (err) {
                 message = err.message;
             } finally {
-                expect(message).toContain('is required');
+                expect(message).toContain('module paths');
             }
         });
+    });
 
-        test('concat data sources with single output', () => {
-            const results = renderSync({
-                ...testConfig.multiDataSource,
-                ...testConfig.singleOutFile
-            });
-
-            const css = results.css.toString();
+    //
+    // test `renderSync` method
+    //
+    describe('sass.renderSync()', () => {
+        test('returns an array or object', () => {
+            const results = renderSync(testConfig.singleSource);
+            const isArrayOrObject =
+                Array.isArray(results) || typeof results === 'object';
 
-            expect(css.indexOf('color: red')).toBeGreaterThan(-1);
-            expect(css.indexOf('padding: 10px;')).toBeGreaterThan(-1);
+            expect(isArrayOrObject).toBe(true);
         });
 
-        test('concat file sources with single output', () => {
-            const results = renderSync({
-                ...testConfig.multiSource,
-                ...testConfig.singleOutFile
-            });
+        test('returns a `node-sass` results object for a single source', () => {
+            const { singleSource } = testConfig;
+            const nodeSassResult = getNodeSassResult(singleSource, true);
+            const result = renderSync(singleSource);
 
-            const css = results.css.toString();
+            expect(Object.keys(result)).toEqual(
+                expect.arrayContaining(Object.keys(nodeSassResult))
+            );
+        });
+
+        test('returns an array of `node-sass` results for multiple sources', () => {
+            const { multiSource } = testConfig;
+            const results = renderSync(multiSource);
+
+            results.map((result) => {
+                const nodeSassResult = getNodeSassResult(
+                    {
+                        file: result.stats.entry
+                    },
+                    true
+                );
+
+                expect(Object.keys(result)).toEqual(
+                    expect.arrayContaining(Object.keys(nodeSassResult))
+                );
+
+                return result;
+            });
+        });
+
+        test('accepts a single file source', () => {
+            const results = renderSync(testConfig.singleSource);
+            const css = results.css.toString();
+
+            expect(css.indexOf('test-scss-1_scss')).toBeGreaterThan(-1);
+        });
+
+        test('accepts multiple file sources', () => {
+            const results = renderSync(testConfig.multiSource);
+            expect(results.length).toBe(3);
+            expect(areAllCompiled(results)).toBe(true);
+        });
+
+        test('accepts a single glob source', () => {
+            const results = renderSync(testConfig.globSource);
+            expect(results.length).toBe(3);
+            expect(areAllCompiled(results)).toBe(true);
+        });
+
+        test('accepts multiple glob sources', () => {
+            const results = renderSync(testConfig.multiGlobSource);
+            expect(results.length).toBe(4);
+            expect(areAllCompiled(results)).toBe(true);
+        });
+
+        test('exclude files via glob config', () => {
+            const results = renderSync({
+                ...testConfig.globSource,
+                globOptions: { ignore: '**/_*' }
+            });
+            expect(results.length).toBe(3);
+            expect(areAllCompiled(results)).toBe(true);
+        });
+
+        test('includes partials in glob sources via `partials`', () => {
+            const results = renderSync({
+                ...testConfig.globSource,
+                partials: true
+            });
+            expect(results.length).toBe(4);
+        });
+
+        test('accepts an explicitly named partial', () => {
+            const results = renderSync({
+                file: path.join(SOURCE_DIR, '_test-partial.scss')
+            });
+            expect(results.css).toBeDefined();
+        });
+
+        test('merges partials with the glob config', () => {
+            const results = renderSync({
+                ...testConfig.globSource,
+                globOptions: { ignore: '**/nested/**' }
+            });
+            expect(results.stats.entry).toContain('test-scss-1.scss');
+        });
+
+        test('reports errors by the name of a virtual source', () => {
+            let error;
+
+            try {
+                renderSync({ data: { 'themes/broken.scss': '.broken {' } });
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error.file).toEqual(path.resolve('themes/broken.scss'));
+            expect(error.formatted).toContain('themes/broken.scss');
+        });
+
+        test('combines file and data sources that share an output', () => {
+            const { multiSource, multiDataSource, singleOutFile } = testConfig;
+            const result = renderSync({
+                ...multiSource,
+                ...multiDataSource,
+                ...singleOutFile
+            });
+            const css = result.css.toString();
+
+            expect(result.file).toEqual(multiSource.file);
+            expect(result.data).toEqual(multiDataSource.data);
+            expect(css).toContain('test-scss-3_scss');
+            expect(css).toContain('padding: 10px');
+        });
+
+        test('excludes files via negated glob sources', () => {
+            const results = renderSync({
+                file: [
+                    path.join(SOURCE_DIR, '**/*.scss'),
+                    path.join(SOURCE_DIR, 'test-scss-1.scss'),
+                    `!${path.relative(process.cwd(), SOURCE_DIR)}/nested/**`
+                ]
+            });
+
+            expect(results.file).toEqual(
+                path.join(SOURCE_DIR, 'test-scss-1.scss')
+            );
+        });
+
+        test('accepts a single Scss/Sass string source', () => {
+            const results = renderSync(testConfig.dataSource);
+            const css = results.css.toString();
+
+            expect(css.indexOf('color: red')).toBeGreaterThan(-1);
+        });
+
+        test('accepts multiple Scss/Sass string sources', () => {
+            const results = renderSync(testConfig.multiDataSource);
+            expect(results.length).toBe(2);
+            expect(areAllCompiled(results)).toBe(true);
+        });
+
+        test('writes a single CSS file to disk', () => {
+            const { singleSource, singleOutput } = testConfig;
+            renderSync({ ...singleSource, ...singleOutput });
+
+            expect(fs.pathExistsSync(singleOutput.output)).toBe(true);
+        });
+
+        test('writes multiple CSS files to disk', () => {
+            const { multiSource, multiOutput } = testConfig;
+            renderSync({ ...multiSource, ...multiOutput });
+
+            const renderedFiles = getOutputCSSFiles(true);
+
+            expect(renderedFiles.length).toEqual(3);
+        });
+
+        test('writes a single Scss/Sass string to disk', () => {
+            const { dataSource, singleOutput } = testConfig;
+            renderSync({ ...dataSource, ...singleOutput });
+
+            expect(fs.pathExistsSync(singleOutput.output)).toBe(true);
+        });
+
+        test('mirrors the directory structure of glob sources in an output directory', () => {
+            const { globSource, multiOutput } = testConfig;
+            renderSync({
+                ...globSource,
+                ...multiOutput,
+                sourceMap: path.join(OUTPUT_DIR, 'maps')
+            });
+
+            expect(
+                fs.pathExistsSync(
+                    path.join(OUTPUT_DIR, 'nested/deeper/test-scss-3.css')
+                )
+            ).toBe(true);
+            expect(
+                fs.pathExistsSync(
+                    path.join(OUTPUT_DIR, 'maps/nested/test-scss-2.css.map')
+                )
+            ).toBe(true);
+        });
+
+        test('resolves tokens in an output template', () => {
+            const results = renderSync({
+                ...testConfig.multiSource,
+                output: path.join(OUTPUT_DIR, '[name].[hash:6].css')
+            });
+
+            expect(results[0].outFile).toMatch(/test-scss-1\.\w{6}\.css$/);
+            expect(fs.pathExistsSync(results[0].outFile)).toBe(true);
+        });
+
+        test('allows dynamic output via a function', () => {
+            const { multiSource, dynamicOutput } = testConfig;
+            renderSync({ ...multiSource, ...dynamicOutput });
+
+            const renderedFiles = getOutputCSSFiles(true);
+
+            let areAllDynamic = true;
+            renderedFiles.forEach((renderedFile) => {
+                if (/dynamic/.test(renderedFile) === false) {
+                    areAllDynamic = false;
+                }
+            });
+
+            expect(areAllDynamic).toBe(true);
+        });
+
+        test('allows dynamic output to directory via a function', () => {
+            const { multiSource, dynamicOutputDir } = testConfig;
+            renderSync({ ...multiSource, ...dynamicOutputDir });
+
+            const renderedFiles = getOutputCSSFiles(true);
+
+            let areAllDynamic = true;
+            renderedFiles.forEach((renderedFile) => {
+                if (/dynamic/.test(renderedFile) === false) {
+                    areAllDynamic = false;
+                }
+            });
+
+            expect(areAllDynamic).toBe(true);
+        });
+
+        test('throws an error if invalid props are provided', async () => {
+            let message = '';
+
+            try {
+                renderSync('foo');
+            } catch (err) {
+                message = err.message;
+            } finally {
+                expect(message).toContain('Invalid');
+            }
+        });
+
+        test('throws an error if required props are not provided', () => {
+            let message = '';
+
+            try {
+                renderSync({});
+            } catch (err) {
+                message = err.message;
+            } finally {
+                expect(message).toContain('is required');
+            }
+        });
+
+        test('throws an error if an unknown source is provided', async () => {
+            let message = '';
+
+            try {
+                await renderSync(testConfig.unknownSource);
+            } catch (err) {
+                message = err.message;
+            } finally {
+                expect(message).toContain('not found');
+            }
+        });
+
+        test('throws an error on a `data` when `outFile` is a directory', () => {
+            const { dataSource } = testConfig;
+            let message = '';
+
+            try {
+                renderSync({
+                    data: dataSource,
+                    outFile: 'dir'
+                });
+            } catch (err) {
+                message = err.message;
+            } finally {
+                expect(message).toContain('Invalid');
+            }
+        });
+
+        test('generate source map', () => {
+            const { singleSource, singleOutFile, sourceMap } = testConfig;
+
+            const results = renderSync({
+                ...singleSource,
+                ...singleOutFile,
+                ...sourceMap
+            });
+
+            expect(results.map).toBeDefined();
+        });
+
+        test('generate single source map', () => {
+            const { singleSource, singleOutFile, singleSourceMap } = testConfig;
+
+            const results = renderSync({
+                ...singleSource,
+                ...singleOutFile,
+                ...singleSourceMap
+            });
+
+            expect(results.map).toBeDefined();
+        });
+
+        test('generate single source map from dynamic prop', () => {
+            const { multiSource, singleOutFile, dynamicSourceMap } = testConfig;
+
+            const results = renderSync({
+                ...multiSource,
+                ...singleOutFile,
+                ...dynamicSourceMap
+            });
+
+            expect(results.map).toBeDefined();
+        });
+
+        test('writes source map to disk', () => {
+            const { singleSource, singleOutput, singleSourceMap } = testConfig;
+
+            renderSync({
+                ...singleSource,
+                ...singleOutput,
+                ...singleSourceMap
+            });
+
+            expect(fs.pathExistsSync(singleSourceMap.sourceMap)).toBe(true);
+        });
+
+        test('generates source maps for data sources without an output', () => {
+            const results = renderSync({
+                ...testConfig.multiDataSource,
+                sourceMap: 'inline'
+            });
+
+            results.forEach((result) => {
+                const map = JSON.parse(result.map.toString());
+
+                expect(map.sources).toEqual(['stdin']);
+                expect(result.css.toString()).toContain(
+                    'sourceMappingURL=data:application/json;base64,'
+                );
+            });
+        });
+
+        test('concat data sources with single output', () => {
+            const results = renderSync({
+                ...testConfig.multiDataSource,
+                ...testConfig.singleOutFile
+            });
+
+            const css = results.css.toString();
+
+            expect(css.indexOf('color: red')).toBeGreaterThan(-1);
+            expect(css.indexOf('padding: 10px;')).toBeGreaterThan(-1);
+        });
+
+        test('concat file sources with single output', () => {
+            const results = renderSync({
+                ...testConfig.multiSource,
+                ...testConfig.singleOutFile
+            });
+
+            const css = results.css.toString();
 
             expect(css.indexOf('test-scss-1')).toBeGreaterThan(-1);
             expect(css.indexOf('test-scss-2')).toBeGreaterThan(-1);
             expect(css.indexOf('test-scss-3')).toBeGreaterThan(-1);
         });
+
+        test('maps the real sources of a concatenated output', () => {
+            const { multiSource, singleSource, singleOutFile } = testConfig;
+            const result = renderSync({
+                ...multiSource,
+                ...singleOutFile,
+                sourceMap: 'inline'
+            });
+            const singleResult = renderSync({
+                ...singleSource,
+                ...singleOutFile,
+                sourceMap: true
+            });
+            const [, encodedMap] = result.css.toString().match(/base64,(\S+)/);
+            const map = JSON.parse(Buffer.from(encodedMap, 'base64'));
+            const singleMap = JSON.parse(singleResult.map.toString());
+
+            expect(map.sources.slice(0, 2)).toEqual(singleMap.sources);
+            expect(map.mappings.split(';')[0]).toEqual(
+                singleMap.mappings.split(';')[0]
+            );
+        });
+
+        test('attaches task metadata to each result', () => {
+            const { multiSource, singleOutFile } = testConfig;
+            const results = renderSync({
+                ...multiSource,
+                ...singleOutFile
+            });
+
+            expect(results.file).toEqual(multiSource.file);
+            expect(results.outFile).toBe(singleOutFile.outFile);
+            expect(results.written).toBe(false);
+        });
+
+        test('skips writing outputs that are unchanged', () => {
+            const { multiSource, multiOutput } = testConfig;
+            const options = { ...multiSource, ...multiOutput };
+            const changedFile = path.join(OUTPUT_DIR, 'test-scss-2.css');
+
+            renderSync(options);
+            fs.writeFileSync(changedFile, 'stale');
+            const results = renderSync(options);
+
+            expect(results.map(({ written }) => written)).toEqual([
+                false,
+                true,
+                false
+            ]);
+            expect(results[0].unchanged).toBe(true);
+            expect(fs.readFileSync(changedFile, 'utf8')).toEqual(
+                results[1].css.toString()
+            );
+        });
+
+        test('returns results mapped by source file via `resultsAs`', () => {
+            const { multiSource } = testConfig;
+            const results = renderSync({
+                ...multiSource,
+                resultsAs: 'map'
+            });
+
+            expect(Object.keys(results)).toEqual(multiSource.file);
+        });
+
+        test('attempts every source with `bail` disabled', () => {
+            const { singleSource, multiOutput } = testConfig;
+            const brokenFile = path.join(OUTPUT_DIR, 'broken.scss');
+            let error;
+
+            fs.writeFileSync(brokenFile, '.broken {');
+
+            try {
+                renderSync({
+                    file: [brokenFile, singleSource.file],
+                    ...multiOutput,
+                    bail: false
+                });
+            } catch (err) {
+                error = err;
+            }
+
+            const [failed, compiled] = error.outcomes;
+
+            expect(error.message).toContain('1 of 2');
+            expect(compiled.result.css).toBeDefined();
+            expect(failed.error.line).toBe(1);
+            expect(
+                fs.pathExistsSync(path.join(OUTPUT_DIR, 'test-scss-1.css'))
+            ).toBe(true);
+        });
+
+        test('expands glob imports', () => {
+            const file = createGlobImportSource();
+            const result = renderSync({ file });
+
+            expect(result.css.toString()).toContain('.c');
+            expect(
+                result.stats.includedFiles.some((includedFile) =>
+                    includedFile.includes('*')
+                )
+            ).toBe(false);
+        });
+
+        test('prefers local files to packages via `nodeModules`', () => {
+            const file = createPackageSource("@import 'test-package';");
+
+            fs.outputFileSync(
+                path.join(path.dirname(file), '_test-package.scss'),
+                '.local { color: black; }'
+            );
+
+            const result = renderSync({ file, nodeModules: true });
+
+            expect(result.css.toString()).toContain('.local');
+            expect(result.css.toString()).not.toContain('.test-package');
+        });
+
+        test('serves unchanged sources from the cache', () => {
+            const { multiSource, cache } = testConfig;
+            const firstResults = renderSync({ ...multiSource, ...cache });
+            const results = renderSync({ ...multiSource, ...cache });
+
+            expect(firstResults.every(({ cached }) => !cached)).toBe(true);
+            expect(results.every(({ cached }) => cached)).toBe(true);
+            expect(results[0].css.toString()).toEqual(
+                firstResults[0].css.toString()
+            );
+        });
+
+        test('returns the build plan without compiling via `dryRun`', () => {
+            const { multiSource, singleOutput } = testConfig;
+            const results = renderSync({
+                ...multiSource,
+                ...singleOutput,
+                dryRun: true
+            });
+
+            expect(plan({ ...multiSource, ...singleOutput })).toEqual(results);
+
+            expect(results.length).toBe(1);
+            expect(results[0].source).toEqual(multiSource.file);
+            expect(results[0].options.data).toContain('@import');
+            expect(fs.pathExistsSync(singleOutput.output)).toBe(false);
+        });
+
+        test('writes an asset manifest via `manifest`', () => {
+            const { multiSource, multiOutput } = testConfig;
+            const manifestPath = path.join(OUTPUT_DIR, 'manifest.json');
+            const results = renderSync({
+                ...multiSource,
+                ...multiOutput,
+                sourceMap: true,
+                manifest: manifestPath
+            });
+            const manifest = fs.readJsonSync(manifestPath);
+
+            expect(Object.keys(manifest).length).toBe(results.length);
+            results.forEach((result) => {
+                const entry =
+                    manifest[path.relative(process.cwd(), result.file)];
+
+                expect(entry.sourceMap).toEqual(
+                    path.relative(process.cwd(), result.sourceMap)
+                );
+            });
+        });
+
+        test('recompiles cached sources when an included file changes', () => {
+            const { cache } = testConfig;
+            const sourceDir = path.join(OUTPUT_DIR, 'cache-src');
+            const options = {
+                file: path.join(sourceDir, '**/*.scss'),
+                ...cache
+            };
+
+            fs.copySync(SOURCE_DIR, sourceDir);
+            renderSync(options);
+            fs.writeFileSync(
+                path.join(sourceDir, '_test-partial.scss'),
+                '$color: blue;'
+            );
+
+            const results = renderSync(options);
+            const recompiled = results.filter(({ cached }) => !cached);
+
+            expect(recompiled.length).toBe(1);
+        });
+
+        test('reports the build to a `reporter` function', () => {
+            const { multiSource } = testConfig;
+            let report;
+
+            renderSync({
+                ...multiSource,
+                reporter: (buildReport) => {
+                    report = buildReport;
+                }
+            });
+
+            expect(report.outputs.length).toBe(multiSource.file.length);
+            expect(report.total.duration).toBeGreaterThanOrEqual(0);
+        });
+
+        test('compiles in the main process with `workers`', () => {
+            const result = renderSync({
+                file: createGlobImportSource(),
+                workers: true
+            });
+
+            expect(result.css.toString()).toContain('.a');
+        });
+
+        test('requires an `importer` module path in the main process', () => {
+            const result = renderSync({
+                data: "@import 'virtual';",
+                importer: path.join(SOURCE_DIR, 'test-importer.js'),
+                workers: true
+            });
+
+            expect(result.css.toString()).toContain('.virtual');
+        });
+
+        test('adds the built-in asset functions with `assetFunctions`', () => {
+            const { file, png } = createImageSource();
+            const result = renderSync({ file, assetFunctions: true });
+            const css = result.css.toString();
+
+            expect(css).toContain(
+                `url("data:image/png;base64,${png.toString('base64')}")`
+            );
+            expect(css).toContain('width: 32px');
+            expect(css).toContain('url("img/logo.svg")');
+            expect(css).toContain('height: 40px');
+        });
+
+        test('adds the built-in asset functions in the main process with `workers`', () => {
+            const { file } = createImageSource();
+            const result = renderSync({
+                file,
+                assetFunctions: true,
+                workers: true
+            });
+
+            expect(result.css.toString()).toContain('width: 32px');
+        });
+
+        test('throws an error for an invalid image', () => {
+            const { file } = createImageSource();
+
+            expect(() =>
+                renderSync({
+                    data: `.a { width: image-width('${file}'); }`,
+                    assetFunctions: true
+                })
+            ).toThrow('Invalid image');
+        });
+
+        test('copies assets with hashed names to an `assets` directory', () => {
+            const file = createAssetSource();
+            const outDir = path.join(OUTPUT_DIR, 'asset-out');
+            const result = renderSync({
+                file,
+                output: path.join(outDir, 'css'),
+                assets: path.join(outDir, 'assets')
+            });
+            const [{ file: assetFile }] = result.assets;
+
+            expect(fs.readFileSync(assetFile, 'utf8')).toBe('logo');
+            expect(result.css.toString()).toContain(
+                `url(../assets/${path.basename(assetFile)})`
+            );
+        });
+    });
+
+    //
+    // test `graph` method
+    //
+    describe('sass.graph()', () => {
+        const graphSourceDir = path.join(OUTPUT_DIR, 'graph-src');
+        const graphFile = (name) => path.join(graphSourceDir, name);
+
+        beforeEach(() => {
+            const files = {
+                'main.scss': [
+                    "@use 'sass:math';",
+                    "@use 'theme';",
+                    '@import url(//fonts.example.com/x.css);',
+                    "@import 'components/buttons', 'vars';",
+                    "// @import 'commented';",
+                    "@import 'print.css'; /* @import 'commented'; */",
+                    "@import 'missing';"
+                ].join('\n'),
+                'admin.sass': '@import vars\n@import components/*',
+                'theme/_index.scss': "@forward 'colors';",
+                'theme/_colors.scss': '$primary: red;',
+                'components/_buttons.scss': "@import 'vars';",
+                'lib/_vars.scss': '$size: 1px;'
+            };
+
+            Object.keys(files).forEach((name) => {
+                fs.outputFileSync(graphFile(name), files[name]);
+            });
+        });
+
+        test('resolves the imports of every source', async () => {
+            const result = await graph({
+                file: path.join(graphSourceDir, '*.{scss,sass}'),
+                includePaths: [graphFile('lib')]
+            });
+
+            expect(result.entries.sort()).toEqual([
+                graphFile('admin.sass'),
+                graphFile('main.scss')
+            ]);
+            expect(result.imports[graphFile('main.scss')]).toEqual([
+                graphFile('theme/_index.scss'),
+                graphFile('components/_buttons.scss'),
+                graphFile('lib/_vars.scss')
+            ]);
+            expect(result.imports[graphFile('admin.sass')]).toEqual([
+                graphFile('lib/_vars.scss'),
+                graphFile('components/_buttons.scss')
+            ]);
+            expect(result.imports[graphFile('theme/_index.scss')]).toEqual([
+                graphFile('theme/_colors.scss')
+            ]);
+            expect(
+                result.importedBy[graphFile('lib/_vars.scss')].sort()
+            ).toEqual([
+                graphFile('admin.sass'),
+                graphFile('components/_buttons.scss'),
+                graphFile('main.scss')
+            ]);
+            expect(result.unresolved).toEqual({
+                [graphFile('main.scss')]: ['missing']
+            });
+        });
+
+        test('finds the entries affected by a changed file', async () => {
+            const result = await graph({
+                file: path.join(graphSourceDir, '*.{scss,sass}'),
+                includePaths: [graphFile('lib')]
+            });
+
+            expect(
+                result.getAffectedEntries(graphFile('lib/_vars.scss')).sort()
+            ).toEqual([graphFile('admin.sass'), graphFile('main.scss')]);
+            expect(
+                result.getAffectedEntries(graphFile('theme/_colors.scss'))
+            ).toEqual([graphFile('main.scss')]);
+            expect(result.getAffectedEntries(graphFile('admin.sass'))).toEqual([
+                graphFile('admin.sass')
+            ]);
+            expect(
+                result.getAffectedEntries(graphFile('unknown.scss'))
+            ).toEqual([]);
+        });
+
+        test('throws an error if `file` is missing', async () => {
+            let message = '';
+
+            try {
+                await graph({ data: '.a { color: red; }' });
+            } catch (err) {
+                message = err.message;
+            } finally {
+                expect(message).toContain('No input specified');
+            }
+        });
+    });
+
+    //
+    // test `audit` method
+    //
+    describe('sass.audit()', () => {
+        const auditSourceDir = path.join(OUTPUT_DIR, 'audit-src');
+        const auditFile = (name) => path.join(auditSourceDir, name);
+        const file = path.join(auditSourceDir, '**/*.scss');
+
+        beforeEach(() => {
+            const files = {
+                'a.scss': "@import 'shared', 'partials/a';",
+                'b.scss': "@import 'shared', 'missing';",
+                '_shared.scss': '.shared { color: red; }',
+                'partials/_a.scss': '.a { color: red; }',
+                'partials/_old.scss': '.old { color: red; }'
+            };
+
+            Object.keys(files).forEach((name) => {
+                fs.outputFileSync(auditFile(name), files[name]);
+            });
+        });
+
+        test('reports orphaned partials and unresolved imports', async () => {
+            const report = await audit({ file });
+
+            expect(report.orphans).toEqual([auditFile('partials/_old.scss')]);
+            expect(report.unresolved).toEqual([
+                { file: auditFile('b.scss'), url: 'missing' }
+            ]);
+            expect(report.duplicates).toEqual([]);
+        });
+
+        test('reports files included more than once in a combined output', async () => {
+            const outFile = path.join(OUTPUT_DIR, 'audit.css');
+            const report = await audit({ file, output: outFile });
+
+            expect(report.duplicates).toEqual([
+                {
+                    outFile,
+                    file: auditFile('_shared.scss'),
+                    sources: [auditFile('a.scss'), auditFile('b.scss')]
+                }
+            ]);
+            expect(fs.pathExistsSync(outFile)).toBe(false);
+        });
+    });
+
+    //
+    // test `watch` method
+    //
+    describe('sass.watch()', () => {
+        const watchSourceDir = path.join(OUTPUT_DIR, 'watch-src');
+        const watchOutputDir = path.join(OUTPUT_DIR, 'watch-css');
+        let watcher;
+
+        function waitFor(event) {
+            return new Promise((resolve) => watcher.once(event, resolve));
+        }
+
+        function startWatcher() {
+            watcher = watch({
+                file: path.join(watchSourceDir, '**/*.scss'),
+                output: watchOutputDir,
+                globOptions: { ignore: '**/_*' }
+            });
+
+            return waitFor('ready');
+        }
+
+        beforeEach(() => {
+            fs.copySync(SOURCE_DIR, watchSourceDir);
+        });
+
+        afterEach(async () => {
+            if (watcher) {
+                await watcher.close();
+                watcher = null;
+            }
+        });
+
+        test('compiles all sources when started', async () => {
+            const nextBuild = new Promise((resolve) => {
+                watcher = watch({
+                    file: path.join(watchSourceDir, '**/*.scss'),
+                    output: watchOutputDir,
+                    globOptions: { ignore: '**/_*' }
+                });
+                watcher.once('build', resolve);
+            });
+            const results = await nextBuild;
+
+            await waitFor('ready');
+
+            expect(results.length).toBe(3);
+            expect(areAllCompiled(results)).toBe(true);
+            expect(
+                fs.pathExistsSync(path.join(watchOutputDir, 'test-scss-1.css'))
+            ).toBe(true);
+        });
+
+        test('recompiles only the sources that include a changed file', async () => {
+            await startWatcher();
+
+            const nextBuild = waitFor('build');
+            fs.writeFileSync(
+                path.join(watchSourceDir, '_test-partial.scss'),
+                '$color: blue;'
+            );
+            const results = await nextBuild;
+
+            expect(results.length).toBe(1);
+            expect(results[0].stats.entry).toContain('test-scss-1.scss');
+            expect(
+                fs.readFileSync(
+                    path.join(watchOutputDir, 'test-scss-1.css'),
+                    'utf8'
+                )
+            ).toContain('color: blue');
+        });
+
+        test('compiles in the main process with `workers`', async () => {
+            const nextBuild = new Promise((resolve) => {
+                watcher = watch({
+                    file: path.join(watchSourceDir, '**/*.scss'),
+                    output: watchOutputDir,
+                    workers: 2
+                });
+                watcher.once('build', resolve);
+            });
+            const results = await nextBuild;
+
+            await waitFor('ready');
+
+            expect(results.length).toBe(3);
+            expect(areAllCompiled(results)).toBe(true);
+        });
+
+        test('compiles new files that match the glob', async () => {
+            await startWatcher();
+
+            const nextBuild = waitFor('build');
+            fs.writeFileSync(
+                path.join(watchSourceDir, 'test-scss-4.scss'),
+                '.test-scss-4_scss { color: green; }'
+            );
+            const results = await nextBuild;
+
+            expect(results.length).toBe(1);
+            expect(results[0].stats.entry).toContain('test-scss-4.scss');
+        });
+
+        test('recompiles sources whose glob imports match a new file', async () => {
+            fs.outputFileSync(
+                path.join(watchSourceDir, 'components/_a.scss'),
+                '.a { color: red; }'
+            );
+            fs.outputFileSync(
+                path.join(watchSourceDir, 'glob.scss'),
+                "@import 'components/*';"
+            );
+            watcher = watch({
+                file: path.join(watchSourceDir, '**/*.scss'),
+                output: watchOutputDir
+            });
+            await waitFor('ready');
+
+            const nextBuild = waitFor('build');
+            const tempFile = path.join(OUTPUT_DIR, '_z.scss');
+
+            // moved into place so that the file is complete once it's added
+            fs.writeFileSync(tempFile, '.z { color: red; }');
+            fs.moveSync(
+                tempFile,
+                path.join(watchSourceDir, 'components/_z.scss')
+            );
+            const results = await nextBuild;
+
+            expect(results.length).toBe(1);
+            expect(results[0].css.toString()).toContain('.z');
+        });
+
+        test('keeps running after a compile error', async () => {
+            const partial = path.join(watchSourceDir, '_test-partial.scss');
+
+            await startWatcher();
+
+            const error = waitFor('error');
+            fs.writeFileSync(partial, '$color: ');
+            expect((await error).message).toBeDefined();
+
+            // let the watcher settle; changes in quick succession are throttled
+            await new Promise((resolve) => setTimeout(resolve, 200));
+
+            const nextBuild = waitFor('build');
+            fs.writeFileSync(partial, '$color: blue;');
+            const results = await nextBuild;
+
+            expect(results.length).toBe(1);
+        });
+
+        test('throws an error if the `file` option is not provided', () => {
+            let message = '';
+
+            try {
+                watch(testConfig.dataSource);
+            } catch (err) {
+                message = err.message;
+            } finally {
+                expect(message).toContain('is required');
+            }
+        });
+    });
+
+    //
+    // test `build` method
+    //
+    describe('sass.build()', () => {
+        let configDir;
+        const targets = {
+            app: {
+                file: path.join(SOURCE_DIR, 'test-scss-1.scss'),
+                output: path.join(OUTPUT_DIR, 'app.css')
+            },
+            admin: {
+                file: path.join(SOURCE_DIR, 'nested/*.scss'),
+                output: path.join(OUTPUT_DIR, 'admin')
+            }
+        };
+
+        beforeEach(() => {
+            // a new directory for each test, since required configs are cached
+            configDir = fs.mkdtempSync(path.join(OUTPUT_DIR, 'config-'));
+        });
+
+        function writeConfig(config) {
+            fs.outputFileSync(
+                path.join(configDir, 'sass-extra.config.js'),
+                `module.exports = ${JSON.stringify(config)};`
+            );
+        }
+
+        test('renders every target of the config', async () => {
+            writeConfig(targets);
+
+            const results = await build(null, { cwd: configDir });
+
+            expect(Object.keys(results)).toEqual(['app', 'admin']);
+            expect(fs.pathExistsSync(targets.app.output)).toBe(true);
+            expect(
+                fs.pathExistsSync(
+                    path.join(OUTPUT_DIR, 'admin/test-scss-2.css')
+                )
+            ).toBe(true);
+        });
+
+        test('renders the named targets of the config', async () => {
+            writeConfig(targets);
+
+            const results = await build('admin', { cwd: configDir });
+
+            expect(Object.keys(results)).toEqual(['admin']);
+            expect(fs.pathExistsSync(targets.app.output)).toBe(false);
+        });
+
+        test('loads a single options object as the default target', () => {
+            writeConfig(targets.app);
+
+            expect(loadConfig(configDir)).toEqual({ default: targets.app });
+        });
+
+        test('loads an array of named targets', () => {
+            writeConfig([{ name: 'print', ...targets.app }, targets.admin]);
+
+            expect(loadConfig(configDir)).toEqual({
+                print: targets.app,
+                1: targets.admin
+            });
+        });
+
+        test('resolves relative paths against the config directory', async () => {
+            fs.copySync(SOURCE_DIR, path.join(configDir, 'styles'));
+            writeConfig({
+                file: [
+                    'styles/*.scss',
+                    'styles/*.sass',
+                    '!styles/test-scss-1.scss'
+                ],
+                output: 'css',
+                sourceMap: 'maps',
+                includePaths: ['styles/nested']
+            });
+
+            const results = await build(null, { cwd: configDir });
+
+            expect(results.default.outFile).toBe(
+                path.join(configDir, 'css/test-sass.css')
+            );
+            expect(
+                fs.pathExistsSync(path.join(configDir, 'css/test-sass.css'))
+            ).toBe(true);
+            expect(
+                fs.pathExistsSync(
+                    path.join(configDir, 'maps/test-sass.css.map')
+                )
+            ).toBe(true);
+            expect(loadConfig(configDir).default.includePaths).toEqual([
+                path.join(configDir, 'styles/nested')
+            ]);
+        });
+
+        test('resolves relative glob ignore patterns against the config directory', async () => {
+            fs.copySync(SOURCE_DIR, path.join(configDir, 'styles'));
+            writeConfig({
+                file: 'styles/**/*.scss',
+                output: 'css',
+                globOptions: { ignore: ['styles/nested/**'] }
+            });
+
+            const results = await build(null, { cwd: configDir });
+
+            expect(results.default.outFile).toBe(
+                path.join(configDir, 'css/test-scss-1.css')
+            );
+            expect(fs.pathExistsSync(path.join(configDir, 'css/nested'))).toBe(
+                false
+            );
+        });
+
+        test('loads the config from package.json', async () => {
+            fs.outputJsonSync(path.join(configDir, 'package.json'), {
+                sassExtra: targets
+            });
+
+            const results = await build('app', { cwd: configDir });
+
+            expect(results.app.css).toBeDefined();
+        });
+
+        test('throws an error if a target is not defined', async () => {
+            let message = '';
+            writeConfig(targets);
+
+            try {
+                await build('print', { cwd: configDir });
+            } catch (err) {
+                message = err.message;
+            } finally {
+                expect(message).toContain('Invalid target');
+            }
+        });
+
+        test('throws an error if no config is found', async () => {
+            let message = '';
+
+            try {
+                await build(null, { cwd: configDir });
+            } catch (err) {
+                message = err.message;
+            } finally {
+                expect(message).toContain('No config found');
+            }
+        });
     });
 });
@@ -0,0 +1,138 @@
+/**
+ * The package importer for `node-sass-extra`; resolves `~package` and bare package imports from
+ * node_modules when the "nodeModules" option is enabled.
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const sass = require('node-sass');
+
+const EXTENSIONS = ['.scss', '.sass', '.css'];
+
+/**
+ * Gets the files an import of the given path may refer to, in order of precedence; the path
+ * itself or its partial, with each extension, or the index file of a directory.
+ */
+function getImportCandidates(filePath) {
+    const { dir, base } = path.parse(filePath);
+
+    if (EXTENSIONS.includes(path.extname(base))) {
+        return [filePath, path.join(dir, `_${base}`)];
+    }
+
+    return EXTENSIONS.reduce(
+        (candidates, ext) =>
+            candidates.concat(
+                path.join(dir, `${base}${ext}`),
+                path.join(dir, `_${base}${ext}`)
+            ),
+        []
+    ).concat(
+        EXTENSIONS.reduce(
+            (candidates, ext) =>
+                candidates.concat(
+                    path.join(filePath, `index${ext}`),
+                    path.join(filePath, `_index${ext}`)
+                ),
+            []
+        )
+    );
+}
+
+/**
+ * Resolves an import of the given path to an existing file, if any.
+ */
+function resolveImport(filePath) {
+    return getImportCandidates(filePath).find(
+        (candidate) =>
+            fs.pathExistsSync(candidate) && fs.statSync(candidate).isFile()
+    );
+}
+
+/**
+ * Splits a package import into the package name, including its scope, and the path within it.
+ */
+function parsePackageImport(url) {
+    const segments = url.split('/');
+    const nameLength = url.startsWith('@') ? 2 : 1;
+
+    return {
+        name: segments.slice(0, nameLength).join('/'),
+        subPath: segments.slice(nameLength).join('/')
+    };
+}
+
+/**
+ * Finds the directory of a package in the node_modules of the given directory or any of its
+ * ancestors.
+ */
+function findPackageDir(name, dir) {
+    const packageDir = path.join(dir, 'node_modules', name);
+    const parentDir = path.dirname(dir);
+
+    if (fs.pathExistsSync(packageDir)) {
+        return packageDir;
+    }
+
+    return parentDir === dir ? null : findPackageDir(name, parentDir);
+}
+
+/**
+ * Resolves the entry file of a package via the "sass" or "style" fields of its package.json,
+ * falling back to its index file.
+ */
+function resolvePackageEntry(packageDir) {
+    const pkg =
+        fs.readJsonSync(path.join(packageDir, 'package.json'), {
+            throws: false
+        }) || {};
+    const entry = pkg.sass || pkg.style;
+
+    return (
+        (entry && resolveImport(path.join(packageDir, entry))) ||
+        resolveImport(packageDir)
+    );
+}
+
+/**
+ * Resolves `~package` imports, and bare imports that can't be resolved relative to the
+ * importing file or the include paths, to files in node_modules. Imports that aren't packages
+ * are left to node-sass and any other importers.
+ */
+function packageImporter(url, prev) {
+    const isTilde = url.startsWith('~');
+    const importUrl = isTilde ? url.slice(1) : url;
+    const prevDir = path.isAbsolute(prev) ? path.dirname(prev) : process.cwd();
+
+    if (/^(\.|\/|[a-z]+:)/i.test(importUrl) || path.isAbsolute(importUrl)) {
+        return sass.NULL;
+    }
+
+    if (!isTilde) {
+        const includePaths = ((this && this.options.includePaths) || '')
+            .split(path.delimiter)
+            .filter(Boolean);
+        const isLocal = [prevDir]
+            .concat(includePaths)
+            .some((dir) => resolveImport(path.resolve(dir, importUrl)));
+
+        if (isLocal) {
+            return sass.NULL;
+        }
+    }
+
+    const { name, subPath } = parsePackageImport(importUrl);
+    const packageDir = findPackageDir(name, prevDir);
+    const file =
+        packageDir &&
+        (subPath
+            ? resolveImport(path.join(packageDir, subPath))
+            : resolvePackageEntry(packageDir));
+
+    return file ? { file } : sass.NULL;
+}
+
+module.exports = packageImporter;
+
+// shared with the dependency graph, which follows the same partial and index conventions
+module.exports.resolveImport = resolveImport;
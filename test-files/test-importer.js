@@ -0,0 +1,2 @@
+module.exports = (url) =>
+    url === 'virtual' ? { contents: '.virtual { color: blue; }' } : null;
@@ -0,0 +1,66 @@
+/**
+ * The worker process for `node-sass-extra`; compiles the tasks it is sent when the "workers"
+ * option is enabled.
+ */
+
+const path = require('path');
+const sass = require('node-sass');
+
+/**
+ * Requires a module option given as a module path.
+ */
+function requireModule(modulePath) {
+    // eslint-disable-next-line global-require, import/no-dynamic-require
+    return require(path.resolve(modulePath));
+}
+
+/**
+ * Requires the "importer" and "functions" options, which must be given as module paths since
+ * functions can't be sent to a worker process; either can also be a list of module paths, whose
+ * functions are merged in order.
+ */
+function requireModuleOptions(task) {
+    const resolvedTask = { ...task };
+
+    ['importer', 'functions'].forEach((name) => {
+        if (typeof task[name] === 'string') {
+            resolvedTask[name] = requireModule(task[name]);
+        }
+    });
+
+    if (Array.isArray(task.importer)) {
+        resolvedTask.importer = task.importer.map(requireModule);
+    }
+
+    if (Array.isArray(task.functions)) {
+        resolvedTask.functions = Object.assign(
+            {},
+            ...task.functions.map(requireModule)
+        );
+    }
+
+    return resolvedTask;
+}
+
+process.on('message', ({ index, task }) => {
+    try {
+        sass.render(requireModuleOptions(task), (err, result) => {
+            if (err) {
+                process.send({ index, error: { ...err } });
+            } else {
+                const { stats, css, map } = result;
+
+                process.send({
+                    index,
+                    result: {
+                        stats,
+                        css: css.toString(),
+                        map: map && map.toString()
+                    }
+                });
+            }
+        });
+    } catch (err) {
+        process.send({ index, error: { ...err, message: err.message } });
+    }
+});